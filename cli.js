@@ -16,36 +16,132 @@
  * limitations under the License.
  */
 
+var fs = require('fs');
 var path = require('path');
+var diagnostics = require('./diagnostics.js');
 import arg from 'arg';
 
 
 function parseArgumentsIntoOptions(rawArgs) {
   const args = arg({
     '--config': String,
+    '--clean': Boolean,
+    '--diagnostics-file': String,
+    '--diagnostics-format': String,
+    '--max-warnings': Number,
+    '--fail-on': [String],
   }, {
     argv: rawArgs.slice(2),
   });
   return {
-    config: args['--config'] || ''
+    config: args['--config'] || '',
+    clean: !!args['--clean'],
+    diagnosticsFile: args['--diagnostics-file'] || '',
+    diagnosticsFormat: args['--diagnostics-format'] || 'json',
+    maxWarnings: (typeof args['--max-warnings'] != 'undefined' ? args['--max-warnings'] : null),
+    failOn: args['--fail-on'] || []
   };
 }
 
 
+/**
+ * Writes the diagnostics report if one was requested. Returns whether it
+ * worked. The warnings fail the report if they failed a threshold.
+ */
+function writeDiagnostics(options, list, warningsFail) {
+  if (!options.diagnosticsFile)
+    return true;
+  try {
+    fs.writeFileSync(options.diagnosticsFile,
+        diagnostics.formatReport(options.diagnosticsFormat, list, process.cwd(), warningsFail));
+  }
+  catch (exception) {
+    console.error('Failed to write diagnostics: ' + exception.message);
+    return false;
+  }
+  return true;
+}
+
+
+/**
+ * Returns why the diagnostics of a successful build fail it according to
+ * --max-warnings and --fail-on, or null if they do not.
+ */
+function checkThresholds(options, list) {
+  var warnings = list.filter(function(diagnostic) {
+    return diagnostic.severity == 'warning';
+  });
+  if (options.maxWarnings !== null && warnings.length > options.maxWarnings) {
+    return 'Found ' + warnings.length + ' warnings, more than the ' + options.maxWarnings +
+        ' allowed by --max-warnings.';
+  }
+  var matches = list.filter(function(diagnostic) {
+    return options.failOn.indexOf(diagnostic.code) != -1;
+  });
+  if (matches.length) {
+    return 'Found ' + matches.length + ' diagnostics with codes listed in --fail-on:\n' +
+        matches.map(diagnostics.format).join('\n');
+  }
+  return null;
+}
+
+
 module.exports.cli = function(args) {
   var options = parseArgumentsIntoOptions(args);
   if (!options.config) {
     console.error('Option --config is required.');
   }
 
+  if (diagnostics.REPORT_FORMATS.indexOf(options.diagnosticsFormat) == -1) {
+    console.error('Option --diagnostics-format must be one of: ' +
+        diagnostics.REPORT_FORMATS.join(', ') + '.');
+    process.exit(1);
+  }
+  if (options.maxWarnings !== null &&
+      !(options.maxWarnings >= 0 && options.maxWarnings % 1 === 0)) {
+    console.error('Option --max-warnings must be a number of warnings, 0 or more.');
+    process.exit(1);
+  }
+
   var config = require(path.join(process.cwd(), options.config));
+  if (config.endCallback &&
+      (options.diagnosticsFile || options.maxWarnings !== null || options.failOn.length)) {
+    console.error('Options --diagnostics-file, --max-warnings and --fail-on can not be used ' +
+        'with a config that sets endCallback.');
+    process.exit(1);
+  }
+  var uberCompiler = require('./index.js')(config);
+  if (options.clean) {
+    var removed = uberCompiler.clean();
+    console.log('Removed ' + removed.length + ' files.');
+    return;
+  }
+
+  // Collected from the events, so a failure does not hide the warnings of the
+  // other pipelines and bundles.
+  var collected = [];
+  var collect = function(event) {
+    collected = collected.concat(event.diagnostics);
+  };
+  uberCompiler.on('compile:success', collect);
+  uberCompiler.on('compile:error', collect);
+  uberCompiler.on('compile:skip', collect);
+
+  var promise = uberCompiler.run();
   if (!config.endCallback) {
-    config.endCallback = function() {
+    promise.then(function() {
+      var failure = checkThresholds(options, collected);
+      var written = writeDiagnostics(options, collected, !!failure);
+      if (failure) {
+        console.error(failure);
+        process.exit(1);
+      }
       console.log('Resources compiled.');
-      process.exit();
-    };
+      process.exit(written ? 0 : 1);
+    }, function(error) {
+      writeDiagnostics(options, collected);
+      console.error('Failed to compile resources in the ' + error.stage + ' stage.');
+      process.exit(1);
+    });
   }
-
-  var uberCompiler = require('./index.js')(config);
-  uberCompiler.run();
 };
@@ -0,0 +1,178 @@
+/**
+ * Uber Compiler for Node.js
+ *
+ * Copyright 2012 Alex Kennberg (https://github.com/kennberg/node-uber-compiler)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+
+
+var PROVIDE_REGEX = /\bgoog\.(?:provide|module|declareModuleId)\(\s*['"]([^'"]+)['"]\s*\)/g;
+var REQUIRE_REGEX = /\bgoog\.require\(\s*['"]([^'"]+)['"]\s*\)/g;
+var IMPORT_REGEX = /(?:^|[;\s])(?:import|export)\s+(?:[\w*${}\s,]+\s+from\s+)?['"]([^'"]+)['"]/g;
+
+
+/**
+ * Removes comments, so that examples in documentation are not taken for
+ * dependencies. Line comments are only recognized after whitespace or
+ * punctuation, which keeps URLs in strings intact.
+ */
+var stripComments = function(source) {
+  return source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[\s;{}()])\/\/.*$/gm, '$1');
+};
+
+
+var matchAll = function(regex, source) {
+  var matches = [];
+  var match;
+  regex.lastIndex = 0;
+  while ((match = regex.exec(source)))
+    matches.push(match[1]);
+  return matches;
+};
+
+
+/**
+ * Returns the namespaces a file provides and requires. ES modules provide
+ * their own path and require the resolved paths of relative imports. The
+ * Closure Library base.js, marked with @provideGoog, provides 'goog'.
+ */
+module.exports.parseFile = function(file, source) {
+  var code = stripComments(source);
+  var provides = matchAll(PROVIDE_REGEX, code);
+  var requires = matchAll(REQUIRE_REGEX, code);
+
+  var imports = matchAll(IMPORT_REGEX, code);
+  if (imports.length || /(^|[;\s])export\s/.test(code))
+    provides.push(path.resolve(file));
+  imports.forEach(function(specifier) {
+    if (specifier.charAt(0) != '.' && specifier.charAt(0) != '/') {
+      requires.push(specifier);
+      return;
+    }
+    var resolved = path.resolve(path.dirname(file), specifier);
+    requires.push(path.extname(resolved) ? resolved : resolved + '.js');
+  });
+
+  if (source.indexOf('@provideGoog') != -1)
+    provides.push('goog');
+  return { file: file, provides: _.uniq(provides), requires: _.uniq(requires) };
+};
+
+
+// Parsed files by path, so that libraries are only parsed again when they
+// change.
+var parseCache = {};
+
+
+var readFile = function(file) {
+  var mtime = fs.statSync(file).mtime.getTime();
+  var cached = parseCache[file];
+  if (!cached || cached.mtime != mtime) {
+    cached = parseCache[file] = {
+      mtime: mtime,
+      info: module.exports.parseFile(file, fs.readFileSync(file, 'utf8'))
+    };
+  }
+  return cached.info;
+};
+
+
+/**
+ * Orders the files so that each comes after the files providing what it
+ * requires. Otherwise the original order is kept. With entry points, which are
+ * namespaces or file paths, files that no entry point reaches are left out.
+ *
+ * Returns {files, missing, cycles}, where missing lists {file, namespace} for
+ * requirements no file provides and cycles lists circular chains of files.
+ */
+module.exports.sortFiles = function(files, entryPoints) {
+  var infos = _.map(files, readFile);
+
+  var providers = {};
+  infos.forEach(function(info) {
+    info.provides.forEach(function(namespace) {
+      if (!_.has(providers, namespace))
+        providers[namespace] = info;
+    });
+  });
+
+  var sorted = [];
+  var missing = [];
+  var cycles = [];
+  var visited = {};
+  var stack = [];
+  var visit = function(info) {
+    if (visited[info.file] === true)
+      return;
+    if (visited[info.file] === 'visiting') {
+      var chain = _.pluck(stack.slice(_.indexOf(stack, info)), 'file');
+      cycles.push(chain.concat([info.file]));
+      return;
+    }
+    visited[info.file] = 'visiting';
+    stack.push(info);
+    info.requires.forEach(function(namespace) {
+      if (_.has(providers, namespace))
+        visit(providers[namespace]);
+      else
+        missing.push({ file: info.file, namespace: namespace });
+    });
+    stack.pop();
+    visited[info.file] = true;
+    sorted.push(info.file);
+  };
+
+  // Closure Library's base.js defines goog itself, so it always goes first.
+  if (_.has(providers, 'goog'))
+    visit(providers.goog);
+
+  if (entryPoints && entryPoints.length) {
+    entryPoints.forEach(function(entryPoint) {
+      var info = providers[entryPoint] || providers[path.resolve(entryPoint)] ||
+          _.findWhere(infos, { file: entryPoint });
+      if (info)
+        visit(info);
+      else
+        missing.push({ file: null, namespace: entryPoint });
+    });
+  }
+  else {
+    infos.forEach(visit);
+  }
+
+  return { files: sorted, missing: missing, cycles: cycles };
+};
+
+
+/**
+ * Describes the missing and circular dependencies of a sortFiles() result, or
+ * returns null if there are none.
+ */
+module.exports.formatProblems = function(result) {
+  var lines = [];
+  result.missing.forEach(function(problem) {
+    if (problem.file)
+      lines.push(problem.file + ' requires ' + problem.namespace + ', which no input provides');
+    else
+      lines.push('Entry point ' + problem.namespace + ' is not provided by any input');
+  });
+  result.cycles.forEach(function(cycle) {
+    lines.push('Circular dependency: ' + cycle.join(' -> '));
+  });
+  return (lines.length ? lines.join('\n') : null);
+};
@@ -0,0 +1,315 @@
+/**
+ * Uber Compiler for Node.js
+ *
+ * Copyright 2012 Alex Kennberg (https://github.com/kennberg/node-uber-compiler)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('underscore');
+
+
+// Closure prints 'file:line:column: ERROR - [CODE] message' and Soy prints
+// 'file:line:column: error: message'. Older Closure versions leave out the
+// column and the code.
+var HEADER_REGEX = /^(.+?):(\d+)(?::(\d+))?:\s+(ERROR|WARNING|error|warning)(?:\s+-\s+|:\s+)(?:\[(\w+)\]\s+)?(.*)$/;
+var SUMMARY_REGEX = /^\d+ error\(s\), \d+ warning\(s\)/;
+
+// Lines of source shown around the line of a diagnostic.
+var FRAME_CONTEXT = 1;
+
+
+/**
+ * Returns a diagnostic, which describes one problem a tool reported:
+ * {stage, severity, file, line, column, code, message, frame}. Severity is
+ * 'error' or 'warning', lines and columns start at 1, and frame is an excerpt
+ * of the source with the position marked. Unknown fields are null.
+ */
+module.exports.create = function(stage, severity, message, fields) {
+  return _.extend({
+    stage: stage,
+    severity: severity,
+    file: null,
+    line: null,
+    column: null,
+    code: null,
+    message: message,
+    frame: null
+  }, fields);
+};
+
+
+/**
+ * Parses the output of Closure Compiler or the Soy compiler into diagnostics.
+ * Lines following a diagnostic are taken as its code frame. Other output is
+ * dropped, since tools that succeed also print notices such as 'Picked up
+ * _JAVA_OPTIONS'. Only with the severity 'error', for a failed run, does output
+ * without any diagnostics become a single error that explains the failure.
+ */
+module.exports.parse = function(stage, output, defaultSeverity) {
+  var text = (output || '').trim();
+  if (!text.length)
+    return [];
+
+  var diagnostics = [];
+  var current = null;
+  var frameLines = [];
+  var finishCurrent = function() {
+    if (!current)
+      return;
+    while (frameLines.length && !frameLines[frameLines.length - 1].trim().length)
+      frameLines.pop();
+    current.frame = (frameLines.length ? frameLines.join('\n') :
+        module.exports.readFrame(current.file, current.line, current.column));
+    diagnostics.push(current);
+    current = null;
+    frameLines = [];
+  };
+
+  text.split(/\r?\n/).forEach(function(line) {
+    var match = line.match(HEADER_REGEX);
+    if (match) {
+      finishCurrent();
+      var column = (match[3] ? parseInt(match[3], 10) : null);
+      // Closure counts columns from 0, Soy from 1.
+      if (column !== null && stage == 'closure')
+        column++;
+      current = module.exports.create(stage, match[4].toLowerCase(), match[6], {
+        file: match[1],
+        line: parseInt(match[2], 10),
+        column: column,
+        code: match[5] || null
+      });
+    }
+    else if (SUMMARY_REGEX.test(line)) {
+      finishCurrent();
+    }
+    else if (current) {
+      frameLines.push(line);
+    }
+  });
+  finishCurrent();
+
+  if (!diagnostics.length && defaultSeverity == 'error')
+    return [module.exports.create(stage, 'error', text)];
+  return diagnostics;
+};
+
+
+/**
+ * Turns an error passed to the less.render() callback into a diagnostic. LESS
+ * gives the lines around the error as extract, starting one line before it.
+ */
+module.exports.fromLessError = function(err) {
+  var line = (typeof err.line == 'number' ? err.line : null);
+  var column = (typeof err.column == 'number' ? err.column + 1 : null);
+  var frame = null;
+  if (line !== null && err.extract && err.extract.length)
+    frame = createFrame(err.extract, line - 1, line, column);
+  return module.exports.create('less', 'error', err.message, {
+    file: err.filename || null,
+    line: line,
+    column: column,
+    code: err.type || null,
+    frame: frame
+  });
+};
+
+
+/**
+ * Reads a code frame from the source file, or returns null if it can not be
+ * read.
+ */
+module.exports.readFrame = function(file, line, column) {
+  if (!file || !line)
+    return null;
+  var lines;
+  try {
+    lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  }
+  catch (exception) {
+    return null;
+  }
+  if (line > lines.length)
+    return null;
+  var first = Math.max(line - FRAME_CONTEXT, 1);
+  return createFrame(lines.slice(first - 1, line + FRAME_CONTEXT), first, line, column);
+};
+
+
+/**
+ * Formats source lines, the first of which has the number firstLine, with line
+ * numbers and a marker under the column of the given line. Missing lines, as
+ * at the start of a file, are skipped.
+ */
+var createFrame = function(lines, firstLine, line, column) {
+  var lastLine = firstLine + lines.length - 1;
+  var width = String(lastLine).length;
+  var pad = function(text) {
+    return (new Array(width + 1).join(' ') + text).slice(-width);
+  };
+  var result = [];
+  lines.forEach(function(source, i) {
+    if (typeof source != 'string')
+      return;
+    var number = firstLine + i;
+    result.push((number == line ? '> ' : '  ') + pad(number) + ' | ' + source);
+    if (number == line && column)
+      result.push('  ' + pad('') + ' | ' + new Array(column).join(' ') + '^');
+  });
+  return (result.length ? result.join('\n') : null);
+};
+
+
+/**
+ * Formats a diagnostic for the console, such as
+ * 'src/app.js:3:5: warning - [JSC_BAR] message' followed by its code frame.
+ */
+module.exports.format = function(diagnostic) {
+  var location = '';
+  if (diagnostic.file) {
+    location = diagnostic.file;
+    if (diagnostic.line) {
+      location += ':' + diagnostic.line;
+      if (diagnostic.column)
+        location += ':' + diagnostic.column;
+    }
+    location += ': ';
+  }
+  var text = location + diagnostic.severity + ' - ' +
+      (diagnostic.code ? '[' + diagnostic.code + '] ' : '') + diagnostic.message;
+  if (diagnostic.frame)
+    text += '\n' + diagnostic.frame;
+  return text;
+};
+
+
+/**
+ * Formats diagnostics as a report for CI in one of REPORT_FORMATS: 'json',
+ * 'junit' or 'sarif'. Files are listed relative to the given directory.
+ * Warnings only count as JUnit failures when warningsFail is set, because a
+ * threshold failed.
+ */
+module.exports.formatReport = function(format, diagnostics, baseDir, warningsFail) {
+  var relative = function(file) {
+    return path.relative(baseDir, path.resolve(baseDir, file)).split(path.sep).join('/');
+  };
+  if (format == 'json')
+    return JSON.stringify(diagnostics, null, 2) + '\n';
+  if (format == 'junit')
+    return formatJUnit(diagnostics, relative, !!warningsFail);
+  if (format == 'sarif')
+    return formatSarif(diagnostics, relative);
+  throw new Error('Unknown diagnostics format: ' + format);
+};
+
+
+module.exports.REPORT_FORMATS = ['json', 'junit', 'sarif'];
+
+
+// Control characters, such as the color codes of some tools, are not allowed
+// in XML at all.
+var escapeXml = function(text) {
+  return String(text).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+};
+
+
+/**
+ * Lists each file as a test case, which fails with all of its errors, and its
+ * warnings if warningsFail is set. Other diagnostics go to the output of the
+ * test case. Diagnostics without a file are grouped by stage.
+ */
+var formatJUnit = function(diagnostics, relative, warningsFail) {
+  var groups = _.groupBy(diagnostics, function(diagnostic) {
+    return (diagnostic.file ? relative(diagnostic.file) : diagnostic.stage);
+  });
+  var isFailure = function(diagnostic) {
+    return diagnostic.severity == 'error' || warningsFail;
+  };
+  var formatAll = function(list) {
+    return escapeXml(_.map(list, module.exports.format).join('\n\n'));
+  };
+  var failedCount = _.filter(groups, function(group) {
+    return _.some(group, isFailure);
+  }).length;
+  var lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<testsuites>',
+    '  <testsuite name="uber-compiler" tests="' + _.size(groups) + '" failures="' +
+        failedCount + '" errors="0">'
+  ];
+  _.each(groups, function(group, name) {
+    var failures = _.filter(group, isFailure);
+    var others = _.reject(group, isFailure);
+    lines.push('    <testcase name="' + escapeXml(name) + '" classname="' +
+        escapeXml(group[0].stage) + '">');
+    // JUnit allows one failure per test case, so it holds all of them.
+    if (failures.length) {
+      lines.push('      <failure type="' + escapeXml(failures[0].code || failures[0].severity) +
+          '" message="' + escapeXml(failures[0].message) + '">' + formatAll(failures) +
+          '</failure>');
+    }
+    if (others.length)
+      lines.push('      <system-out>' + formatAll(others) + '</system-out>');
+    lines.push('    </testcase>');
+  });
+  lines.push('  </testsuite>', '</testsuites>', '');
+  return lines.join('\n');
+};
+
+
+/**
+ * Formats the diagnostics as a SARIF 2.1.0 log with one run. Diagnostics
+ * without a code use their stage as rule.
+ */
+var formatSarif = function(diagnostics, relative) {
+  var packageJson = require('./package.json');
+  var results = _.map(diagnostics, function(diagnostic) {
+    var result = {
+      ruleId: diagnostic.code || diagnostic.stage,
+      level: diagnostic.severity,
+      message: { text: diagnostic.message }
+    };
+    if (diagnostic.file) {
+      var location = { artifactLocation: { uri: relative(diagnostic.file) } };
+      if (diagnostic.line) {
+        location.region = { startLine: diagnostic.line };
+        if (diagnostic.column)
+          location.region.startColumn = diagnostic.column;
+      }
+      result.locations = [{ physicalLocation: location }];
+    }
+    return result;
+  });
+  var rules = _.map(_.uniq(_.pluck(results, 'ruleId')), function(id) {
+    return { id: id };
+  });
+  return JSON.stringify({
+    version: '2.1.0',
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    runs: [{
+      tool: {
+        driver: {
+          name: packageJson.name,
+          version: packageJson.version,
+          informationUri: packageJson.homepage,
+          rules: rules
+        }
+      },
+      results: results
+    }]
+  }, null, 2) + '\n';
+};
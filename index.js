@@ -17,9 +17,15 @@
  */
 
 var childProcess = require('child_process');
+var crypto = require('crypto');
+var deps = require('./deps.js');
+var diagnostics = require('./diagnostics.js');
+var events = require('events');
 var fs = require('fs');
 var less = require('less');
+var os = require('os');
 var path = require('path');
+var util = require('util');
 var _ = require('underscore');
 
 
@@ -28,12 +34,274 @@ module.exports = function(options) {
 };
 
 
+/**
+ * Error passed to endCallback and used to reject the promise returned by run()
+ * when a compile stage fails. The stage is one of 'soy', 'deps', 'closure' or
+ * 'less'. The diagnostics list what the tool reported, see diagnostics.js.
+ * Without them the message is the only diagnostic.
+ */
+var CompileError = function(stage, message, diagnosticList) {
+  Error.call(this);
+  if (Error.captureStackTrace)
+    Error.captureStackTrace(this, CompileError);
+  this.name = 'CompileError';
+  this.stage = stage;
+  this.message = message;
+  this.diagnostics = (diagnosticList && diagnosticList.length ? diagnosticList :
+      [diagnostics.create(stage, 'error', message)]);
+};
+CompileError.prototype = Object.create(Error.prototype);
+CompileError.prototype.constructor = CompileError;
+module.exports.CompileError = CompileError;
+
+
+var packageVersion = require('./package.json').version;
+
+var SOY_COMPILER_JAR = 'third-party/soy-2021-02-01-SoyToJsSrcCompiler.jar';
+
+// Compiled along with the templates, which depend on them.
+var SOY_RUNTIME_FILES = [
+  'third-party/checks.js',
+  'third-party/soy-2021-02-01-soyutils_usegoog.js'
+];
+
+
+// Makes temporary file names unique, so overlapping compiles never share one.
+var tempFileCounter = 0;
+
+
+// Stay well below the smallest command line limit we run into, which is 32K
+// characters on Windows.
+var MAX_COMMAND_LENGTH = 30000;
+
+
+/**
+ * Returns {command, args} to run Closure Compiler with the given arguments.
+ * On Windows npm installs the google-closure-compiler command as a .cmd shim,
+ * which can only be run through a shell that would mangle the arguments. So
+ * the package's own script is run with node instead, looked up in the local
+ * node_modules and next to a global shim on the PATH.
+ */
+var getClosureCommand = function(args) {
+  if (process.platform != 'win32')
+    return { command: 'google-closure-compiler', args: args };
+
+  if (typeof closureScript === 'undefined') {
+    closureScript = null;
+    var packageDirs = [];
+    try {
+      packageDirs.push(path.dirname(require.resolve('google-closure-compiler/package.json',
+          { paths: [process.cwd(), __dirname] })));
+    }
+    catch (exception) {
+    }
+    (process.env.PATH || process.env.Path || '').split(path.delimiter).forEach(function(dir) {
+      if (dir && fs.existsSync(path.join(dir, 'google-closure-compiler.cmd')))
+        packageDirs.push(path.join(dir, 'node_modules', 'google-closure-compiler'));
+    });
+    closureScript = _.find(_.map(packageDirs, function(dir) {
+      try {
+        var bin = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'))).bin;
+        return path.join(dir, typeof bin == 'string' ? bin : bin['google-closure-compiler']);
+      }
+      catch (exception) {
+        return null;
+      }
+    }), function(script) {
+      return script && fs.existsSync(script);
+    }) || null;
+  }
+  if (!closureScript)
+    return { command: 'google-closure-compiler.cmd', args: args };
+  return { command: process.execPath, args: [closureScript].concat(args) };
+};
+var closureScript;
+
+
+// Outputs written for failed builds in debug mode. %MESSAGE% is replaced with
+// the error as a string literal.
+var ERROR_OVERLAY_JS = [
+  '(function() {',
+  '  var message = %MESSAGE%;',
+  '  console.error(message);',
+  '  var show = function() {',
+  '    var overlay = document.createElement("pre");',
+  '    overlay.id = "uber-compiler-error";',
+  '    overlay.style.cssText = "position:fixed;top:0;right:0;bottom:0;left:0;" +',
+  '        "z-index:2147483647;margin:0;padding:16px;overflow:auto;" +',
+  '        "background:rgba(0,0,0,0.9);color:#f88;font:13px/1.5 monospace;" +',
+  '        "white-space:pre-wrap";',
+  '    overlay.textContent = "Build failed\\n\\n" + message;',
+  '    document.body.appendChild(overlay);',
+  '  };',
+  '  if (document.body)',
+  '    show();',
+  '  else',
+  '    document.addEventListener("DOMContentLoaded", show);',
+  '})();',
+  ''
+].join('\n');
+var ERROR_OVERLAY_CSS = [
+  'html::before {',
+  '  content: "Build failed\\A\\A " %MESSAGE%;',
+  '  display: block;',
+  '  position: relative;',
+  '  z-index: 2147483647;',
+  '  padding: 16px;',
+  '  background: #000;',
+  '  color: #f88;',
+  '  font: 13px/1.5 monospace;',
+  '  white-space: pre-wrap;',
+  '}',
+  ''
+].join('\n');
+
+
+// Content types of the outputs served by middleware().
+var OUTPUT_CONTENT_TYPES = {
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.map': 'application/json; charset=utf-8'
+};
+
+
+/**
+ * Formats arguments for a Closure Compiler flagfile. Every argument is quoted,
+ * so paths with spaces or quotes survive the round trip.
+ */
+module.exports.formatFlagfile = function(args) {
+  return args.map(function(arg) {
+    return '"' + arg.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+  }).join('\n') + '\n';
+};
+
+
 module.exports.getFileExtensionRegex = function(fileExtensions) {
   return new RegExp("^.*\.(" + fileExtensions + ")$");
 };
 
 
-module.exports.findFiles = function(searchPath, fileExtensionPattern) {
+/**
+ * Returns whether the file is one of the given paths or inside one of them.
+ */
+module.exports.isFileInPaths = function(file, searchPaths) {
+  var filePath = path.resolve(file);
+  return _.some(searchPaths, function(searchPath) {
+    var resolvedPath = path.resolve(searchPath);
+    return filePath == resolvedPath || filePath.indexOf(resolvedPath + path.sep) === 0;
+  });
+};
+
+
+/**
+ * Converts a glob pattern into a regular expression for slash separated
+ * relative paths. Supports *, **, ?, [...] and {a,b}. Throws for a pattern
+ * that can not be converted, such as one with an unclosed {.
+ */
+module.exports.globToRegex = function(glob) {
+  var regex = '';
+  var groupDepth = 0;
+  for (var i = 0, l = glob.length; i < l; i++) {
+    var c = glob.charAt(i);
+    if (c == '*' && glob.charAt(i + 1) == '*') {
+      // A '**/' matches any number of directories, including none.
+      if (glob.charAt(i + 2) == '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      }
+      else {
+        regex += '.*';
+        i++;
+      }
+    }
+    else if (c == '*') {
+      regex += '[^/]*';
+    }
+    else if (c == '?') {
+      regex += '[^/]';
+    }
+    else if (c == '[' && glob.indexOf(']', i + 2) != -1) {
+      var end = glob.indexOf(']', i + 2);
+      var chars = glob.substring(i + 1, end);
+      regex += '[' + (chars.charAt(0) == '!' ? '^' + chars.substr(1) : chars) + ']';
+      i = end;
+    }
+    else if (c == '{') {
+      regex += '(?:';
+      groupDepth++;
+    }
+    else if (c == '}' && groupDepth) {
+      regex += ')';
+      groupDepth--;
+    }
+    else if (c == ',' && groupDepth) {
+      regex += '|';
+    }
+    else {
+      regex += c.replace(/[.+^$()|\\\/]/g, '\\$&');
+    }
+  }
+  if (groupDepth)
+    throw new Error('Invalid glob pattern, unclosed {: ' + glob);
+  try {
+    return new RegExp('^' + regex + '$');
+  }
+  catch (exception) {
+    throw new Error('Invalid glob pattern: ' + glob);
+  }
+};
+
+
+/**
+ * Returns a filter for findFiles() that applies include and exclude glob
+ * patterns to paths relative to the root. Patterns without a slash match file
+ * names at any depth. Excluded directories are not searched at all.
+ */
+module.exports.createPathFilter = function(root, include, exclude) {
+  var toMatcher = function(glob) {
+    var regex = module.exports.globToRegex(glob);
+    var matchName = (glob.indexOf('/') == -1);
+    return function(relativePath) {
+      return regex.test(matchName ? path.posix.basename(relativePath) : relativePath);
+    };
+  };
+  var includeMatchers = _.map(include || [], toMatcher);
+  var excludeMatchers = _.map(exclude || [], toMatcher);
+  var resolvedRoot = path.resolve(root);
+
+  return function(filePath, isDirectory) {
+    var relativePath = path.relative(resolvedRoot, path.resolve(filePath)).split(path.sep).join('/');
+    // Paths listed explicitly are always used.
+    if (!relativePath.length)
+      return true;
+    var matches = function(matcher) {
+      return matcher(relativePath) || (isDirectory && matcher(relativePath + '/'));
+    };
+    if (_.some(excludeMatchers, matches))
+      return false;
+    return isDirectory || !includeMatchers.length || _.some(includeMatchers, matches);
+  };
+};
+
+
+/**
+ * Finds the files below the search path that match the file extension pattern,
+ * in sorted order. The optional filter is called with each path and whether it
+ * is a directory, and skips the path when it returns false. Symlinks are
+ * followed, except to directories that are already being searched, which
+ * would never end.
+ */
+module.exports.findFiles = function(searchPath, fileExtensionPattern, filter) {
+  return findFilesRecursive(searchPath, fileExtensionPattern, filter, []);
+};
+
+
+// Directories are searched again for every compile, so each loop is only
+// reported once.
+var warnedSymlinkLoops = {};
+
+
+var findFilesRecursive = function(searchPath, fileExtensionPattern, filter, ancestors) {
   var stats;
   try {
     stats = fs.statSync(searchPath);
@@ -46,8 +314,20 @@ module.exports.findFiles = function(searchPath, fileExtensionPattern) {
     return [];
   }
 
+  if (filter && !filter(searchPath, stats.isDirectory()))
+    return [];
+
   var files = [];
   if (stats.isDirectory()) {
+    var realPath = fs.realpathSync(searchPath);
+    if (_.contains(ancestors, realPath)) {
+      if (!warnedSymlinkLoops[searchPath])
+        console.warn('Skipping symlink loop: ' + searchPath + ' -> ' + realPath);
+      warnedSymlinkLoops[searchPath] = true;
+      return [];
+    }
+    ancestors = ancestors.concat([realPath]);
+
     var fileNames = fs.readdirSync(searchPath);
     if (fileNames && fileNames.length) {
       fileNames.sort();
@@ -56,8 +336,8 @@ module.exports.findFiles = function(searchPath, fileExtensionPattern) {
         if (fileNames[i].length > 2 && fileNames[i].substr(0, 2) == '._') {
           continue;
         }
-        files = files.concat(module.exports.findFiles(path.join(
-            searchPath, fileNames[i]), fileExtensionPattern));
+        files = files.concat(findFilesRecursive(path.join(
+            searchPath, fileNames[i]), fileExtensionPattern, filter, ancestors));
       }
     }
   }
@@ -74,33 +354,139 @@ module.exports.findFiles = function(searchPath, fileExtensionPattern) {
  *
  * Options:
  * jsPaths - array of absolute paths to js/soy files or directories with js/soy files.
+ *     An entry can also be {path, include, exclude} with glob patterns that
+ *     filter the files found in the directory, relative to it.
  * cssPaths - array of absolute paths to css/less files or directories with css/less files.
+ *     Entries can use include and exclude patterns like in jsPaths.
  * outputDir - absolute path to where the compiled files will be written.
  * moduleName - module name used for filename of the outputs.
  * dontWatchFiles - turn off re-compile when files change. Might want to use this in production.
- * debug - true reduces compilation time and only compresses whitespace.
+ * usePolling - poll for file changes instead of using native file system events,
+ *     for example on network drives. Used automatically if watching fails.
+ * watchInterval - milliseconds between polls. Defaults to 500.
+ * rebuildStrategy - what to do when files change while a pipeline is compiling.
+ *     'queue' runs one more compile once the current one ends, 'restart' stops
+ *     the current one and starts over. Either way only the newest compile
+ *     writes its outputs. Defaults to 'queue'.
+ * debug - true reduces compilation time and only compresses whitespace. Failed
+ *     builds then replace the outputs with ones that show the errors in the page.
  * useHash - generates dynamic output filenames based on the current options - use
  *     getJsFilename() and getCssFilename() methods in your templates.
+ * useContentHash - names each output after a hash of its contents, such as
+ *     cached.3f9a1c2b.js, for long-term caching. The getters return the current
+ *     names after each rebuild. Takes precedence over useHash.
+ * manifestFilename - name of the asset manifest written to outputDir after every
+ *     successful build. Defaults to manifest.json, false turns it off.
+ * keepPreviousBuilds - number of previous generations of outputs to keep around
+ *     for clients still loading old HTML when output names change. Older ones
+ *     are deleted. Defaults to 2.
+ * lessPaths - array of absolute paths to directories searched for LESS @import
+ *     files that are not found relative to the importing file.
+ * modifyVars - object of LESS variables that override the ones in the sources,
+ *     such as {'brand-color': '#f60'}.
+ * globalVars - object of LESS variables defined before the sources, so the
+ *     sources can override them.
+ * themes - object mapping theme names to LESS variables, such as {dark: {bg:
+ *     '#000'}}. Each theme is compiled from the same sources with its variables
+ *     on top of modifyVars into its own file, such as cached.dark.css, next to
+ *     the default output. Use getThemeCssFilename(theme) in your templates.
+ * lessPlugins - array of LESS plugin instances, such as new (require(
+ *     'less-plugin-autoprefix'))().
+ * rewriteUrls - rewrites urls starting with ./ or ../ in imported LESS and CSS
+ *     files to stay correct relative to outputDir. Off by default.
+ * lessFunctions - object mapping names to functions that can be called from
+ *     LESS. They receive and return LESS tree nodes. LESS registers them for the
+ *     whole process, so bundles should not use the same name for different
+ *     functions.
+ * liveReload - lets middleware() serve a live reload client, which reloads
+ *     the page after JS rebuilds and swaps the stylesheets after CSS rebuilds.
+ * sourceMapDir - absolute path to write the JS and CSS source maps to instead of
+ *     outputDir, for example to upload them to an error tracker without serving
+ *     them. The outputs then do not link to their maps.
  *
  * Advanced options:
  * warningLevel - string used for Closure Compiler to control what warnings to output.
  * compileMode - string specifying the compile mode for Google Closure.
  * prettyPrint - boolean to toggle pretty formatting of JS output.
- * endCallback - called when compilation of all resources completes.
+ * endCallback - called when compilation of all resources completes. Receives a
+ *     CompileError as the first argument if any of the compiles failed.
  * externPaths - array of absolute paths to js files or directories with js files to use for extern declarations.
+ * include - array of glob patterns a file in any input directory has to match,
+ *     such as 'src/**'. Used for entries without their own include patterns.
+ * exclude - array of glob patterns of files to leave out of every input
+ *     directory, such as '**\/*_test.js' or '**\/node_modules/**'. Added to the
+ *     exclude patterns of each entry. Patterns without a slash match file names
+ *     at any depth.
+ * sortDependencies - orders the JS inputs by their goog.provide, goog.module,
+ *     goog.require and ES import statements instead of the order of jsPaths.
+ *     Missing and circular dependencies fail the compile.
+ * entryPoints - array of namespaces or file paths. With sortDependencies, only
+ *     the files these reach are compiled.
+ * closureLibraryPath - absolute path to a Closure Library checkout. Adds
+ *     base.js and the library files that the inputs, including the Soy runtime,
+ *     goog.require, and orders everything by dependencies.
+ * bundles - array of {name, jsPaths, cssPaths, externPaths, options} to produce
+ *     several named bundles from one instance. Each bundle is compiled with the
+ *     top-level options merged with its own options and its name as moduleName.
+ *     The top-level paths are not used. All bundles share one watcher and only
+ *     the bundles containing a changed file are rebuilt.
+ *
+ * Events:
+ * compile:start - a pipeline started compiling. Payload is {bundle, type, trigger},
+ *     where bundle is the moduleName, type is 'js' or 'css' and trigger is 'run'
+ *     or 'watch'.
+ * compile:success - a pipeline finished. Payload is {bundle, type, trigger, files,
+ *     warnings, diagnostics, time}. Warnings are diagnostics, see diagnostics.js.
+ * compile:error - a pipeline failed. Payload is {bundle, type, trigger, error,
+ *     warnings, diagnostics, time}, where diagnostics holds the warnings and
+ *     error.diagnostics.
+ * compile:skip - run() found a pipeline up to date and did not compile it.
+ *     Payload is {bundle, type, trigger, files, warnings, diagnostics}, where
+ *     warnings are those of the compile that produced the outputs.
+ * compile:cancel - a compile was discarded because a newer one replaces it.
+ *     Payload is {bundle, type, trigger}.
+ * file:change - a watched file was added, changed or deleted. Payload is {file,
+ *     event, type, bundles}, where event is 'add', 'change' or 'unlink' and
+ *     bundles lists the names of the bundles that will be rebuilt.
+ * idle - nothing is compiling anymore. Payload is {error}, set if a compile failed.
  *
  * Committer: When editing options, please also update the README file.
  */
 UberCompiler = function(options) {
+  events.EventEmitter.call(this);
+
   this.jsPaths = options.jsPaths || [];
   this.externPaths = options.externPaths || [];
   this.cssPaths = options.cssPaths || [];
+  this.include = options.include || [];
+  this.exclude = options.exclude || [];
   this.outputDir = options.outputDir || '/tmp/';
   this.moduleName = options.moduleName || 'cached';
   this.useHash = !!options.useHash;
+  this.useContentHash = !!options.useContentHash;
+  this.manifestFilename = (typeof options.manifestFilename != 'undefined' ?
+      options.manifestFilename : 'manifest.json');
+  this.keepPreviousBuilds = (typeof options.keepPreviousBuilds != 'undefined' ?
+      options.keepPreviousBuilds : 2);
   this.dontWatchFiles = !!options.dontWatchFiles;
+  this.usePolling = !!options.usePolling;
+  this.watchInterval = options.watchInterval || 500;
+  this.rebuildStrategy = options.rebuildStrategy || 'queue';
+  this.sortDependencies = !!options.sortDependencies;
+  this.entryPoints = options.entryPoints || [];
+  this.closureLibraryPath = options.closureLibraryPath || null;
+  this.sourceMapDir = options.sourceMapDir || null;
+  this.liveReload = !!options.liveReload;
+  this.lessPaths = options.lessPaths || [];
+  this.modifyVars = options.modifyVars || {};
+  this.globalVars = options.globalVars || {};
+  this.themes = options.themes || {};
+  this.lessPlugins = options.lessPlugins || [];
+  this.lessFunctions = options.lessFunctions || {};
+  this.rewriteUrls = !!options.rewriteUrls;
 
   // Defaults based on debug.
+  this.debug = !!options.debug;
   this.compileMode = (options.debug ? 'WHITESPACE_ONLY' : 'SIMPLE_OPTIMIZATIONS');
   this.prettyPrint = !!options.debug;
   this.compressCss = !options.debug;
@@ -112,7 +498,6 @@ UberCompiler = function(options) {
     this.prettyPrint = options.prettyPrint;
   this.warningLevel = options.warningLevel || 'QUIET';
 
-  this.files = [];
   this.hash = (this.useHash ? this.getHash_() : '');
 
   this.endCallback = options.endCallback || null;
@@ -120,343 +505,2155 @@ UberCompiler = function(options) {
   this.fileChangedJs = false;
   this.fileChangedCss = false;
   this.fileChangedTimer = null;
-  this.fileChangeMap = {};
+  this.idleCallbacks_ = [];
+  this.liveReloadClients_ = [];
+  this.liveReloadTimer_ = null;
+  this.liveReloadFilenames_ = null;
+  this.fileIndex_ = {};
+  this.watchers_ = {};
+  this.pollTimer_ = null;
+  this.pollRoots_ = [];
+  this.endError_ = null;
+
+  // Every compile request gets a new id per pipeline, so compiles can tell
+  // whether a newer one has been requested since they started.
+  this.buildIds_ = { js: 0, css: 0 };
+  this.rebuildQueued_ = { js: null, css: null };
+  this.compileCallbacks_ = { js: [], css: [] };
+  this.activeChildren_ = { js: null, css: null };
+
+  // Content hashed names are only known after a compile, so start with the
+  // names recorded by the last successful one.
+  this.outputFilenames_ = {};
+  if (this.useContentHash)
+    this.outputFilenames_ = this.readBuildManifest_().filenames || {};
+
+  // Compile the include and exclude patterns now, so a bad one fails here
+  // instead of in the middle of run().
+  this.include.concat(this.exclude).forEach(module.exports.globToRegex);
+  this.createPathEntries_(this.externPaths.concat(this.jsPaths, this.cssPaths));
+
+  this.bundles_ = null;
+  if (options.bundles)
+    this.bundles_ = _.map(options.bundles, this.createBundle_.bind(this, options));
 };
+util.inherits(UberCompiler, events.EventEmitter);
 
 
-UberCompiler.prototype.run = function() {
-  // TODO: get current timestamp and base compile off of that.
-  if (!this.dontWatchFiles)
-    this.watch_();
-  if (this.shouldCompileJs_())
-    this.compileJs_();
-  if (this.shouldCompileCss_())
-    this.compileCss_();
-  this.checkEnd_();
-};
-
+/**
+ * Creates the compiler of a single bundle. It is driven by this instance, which
+ * watches the files and forwards the events of every bundle.
+ */
+UberCompiler.prototype.createBundle_ = function(options, bundle) {
+  var bundleOptions = _.extend({}, options, bundle.options, {
+    jsPaths: bundle.jsPaths || [],
+    cssPaths: bundle.cssPaths || [],
+    externPaths: bundle.externPaths || [],
+    moduleName: bundle.name,
+    dontWatchFiles: true,
+    endCallback: null,
+    bundles: null
+  });
+  var compiler = new UberCompiler(bundleOptions);
 
-UberCompiler.prototype.terminate = function() {
-  if (!this.dontWatchFiles)
-    this.unwatch_();
+  ['compile:start', 'compile:success', 'compile:error', 'compile:cancel', 'compile:skip'].forEach(function(name) {
+    compiler.on(name, this.emit.bind(this, name));
+  }, this);
+  compiler.on('idle', _.bind(function(event) {
+    this.checkEnd_(event.error);
+  }, this));
+  return compiler;
 };
 
 
 /**
- * Returns the name of the output javascript file.
+ * Returns the compilers of all bundles. Without the bundles option this
+ * instance is the only bundle.
  */
-UberCompiler.prototype.getJsFilename = function() {
-  return this.moduleName + this.hash + '.js';
+UberCompiler.prototype.getBundles_ = function() {
+  return this.bundles_ || [this];
 };
 
 
 /**
- * Returns the name of the output css file.
+ * Returns the compiler of the named bundle, or of the first one if no name is
+ * given.
  */
-UberCompiler.prototype.getCssFilename = function() {
-  return this.moduleName + this.hash + '.css';
+UberCompiler.prototype.getBundle_ = function(name) {
+  if (!this.bundles_)
+    return this;
+  if (typeof name == 'undefined')
+    return this.bundles_[0];
+  var bundle = _.find(this.bundles_, function(bundle) {
+    return bundle.moduleName == name;
+  });
+  if (!bundle)
+    throw new Error('Unknown bundle: ' + name);
+  return bundle;
 };
 
 
 /**
- * Returns the name of the output css source map file.
+ * Normalizes the entries of an input path option to {path, filter}, where the
+ * filter applies the include and exclude patterns of the entry and the
+ * instance.
  */
-UberCompiler.prototype.getCssMapFilename = function() {
-  return this.moduleName + this.hash + '.css.map';
+UberCompiler.prototype.getPathEntries_ = function(inputPaths) {
+  // Watching checks every file against the entries, so keep the compiled
+  // patterns around.
+  var key = JSON.stringify(inputPaths);
+  this.pathEntries_ = this.pathEntries_ || {};
+  if (!this.pathEntries_[key])
+    this.pathEntries_[key] = this.createPathEntries_(inputPaths);
+  return this.pathEntries_[key];
+};
+
+
+UberCompiler.prototype.createPathEntries_ = function(inputPaths) {
+  return _.map(inputPaths, function(entry) {
+    if (typeof entry == 'string')
+      entry = { path: entry };
+    var include = (entry.include && entry.include.length ? entry.include : this.include);
+    var exclude = (entry.exclude || []).concat(this.exclude);
+    return {
+      path: entry.path,
+      filter: module.exports.createPathFilter(entry.path, include, exclude)
+    };
+  }, this);
 };
 
 
 /**
- * Generate simple unsecure hash based on all the options in this object.
+ * Returns the files of the input paths with the given extensions, in the
+ * order of the paths. A file found more than once, for example because it is
+ * listed explicitly and also lies in a listed directory or is reached through
+ * a symlink, is only kept the first time.
  */
-UberCompiler.prototype.getHash_ = function() {
-  var hash = 275329; // Salt
-  for (var property in this) {
-    switch (typeof this[property]) {
-      case 'object': {
-        var arr = this[property];
-        for (var i in arr) {
-          if (typeof arr[i] === 'string')
-            hash = this.addToHash_(hash, arr[i]);
-        }
-        break;
+UberCompiler.prototype.findInputFiles_ = function(inputPaths, fileExtensions) {
+  var fileExtensionRegex = module.exports.getFileExtensionRegex(fileExtensions);
+  var files = [];
+  var realPaths = {};
+  this.getPathEntries_(inputPaths).forEach(function(entry) {
+    var entryFiles = module.exports.findFiles(entry.path, fileExtensionRegex, entry.filter);
+    entryFiles.forEach(function(file) {
+      var realPath = file;
+      try {
+        realPath = fs.realpathSync(file);
       }
-      case 'boolean':
-        hash = this.addToHash_(hash, this[property] ? 'Y' : 'n');
-        break;
-      case 'string':
-        hash = this.addToHash_(hash, this[property]);
-        break;
-      default:
-    }
-  }
-  return hash;
+      catch (exception) {
+      }
+      if (_.has(realPaths, realPath)) {
+        this.warnDuplicate_(file, realPaths[realPath]);
+        return;
+      }
+      realPaths[realPath] = file;
+      files.push(file);
+    }, this);
+  }, this);
+  return files;
 };
 
 
-UberCompiler.prototype.addToHash_ = function(hash, text) {
-  for (var i = 0, l = text.length; i < l; i++) {
-    var code = text.charCodeAt(i);
-    hash = ((hash << 5) - hash) + code;
-    hash = hash & hash;
-  }
-  return hash;
+/**
+ * Warns once per file about a skipped duplicate input, since the inputs are
+ * looked up for every compile.
+ */
+UberCompiler.prototype.warnDuplicate_ = function(file, firstFile) {
+  this.warnedDuplicates_ = this.warnedDuplicates_ || {};
+  if (this.warnedDuplicates_[file])
+    return;
+  this.warnedDuplicates_[file] = true;
+  if (file == firstFile)
+    console.warn('Skipping duplicate input: ' + file);
+  else
+    console.warn('Skipping duplicate input: ' + file + ' is the same file as ' + firstFile);
 };
 
 
-UberCompiler.prototype.compileJsFinal_ = function(soyJsPath) {
-  var fileExtensionRegex = module.exports.getFileExtensionRegex('js');
-  var jsFiles = [];
-  for (var i = 0, l = this.jsPaths.length; i < l; i++)
-    jsFiles = jsFiles.concat(module.exports.findFiles(this.jsPaths[i], fileExtensionRegex));
-  var externFiles = [];
-  for (var i = 0, l = this.externPaths.length; i < l; i++)
-    externFiles = externFiles.concat(module.exports.findFiles(this.externPaths[i], fileExtensionRegex));
-  var jsCmd = 'google-closure-compiler';
-
-  jsCmd += ' --compilation_level ' + this.compileMode;
-  jsCmd += ' --warning_level ' + this.warningLevel;
-  if (this.prettyPrint) 
-    jsCmd += ' --formatting pretty_print';
+/**
+ * Returns whether the file belongs to the input paths, that is it lies in one
+ * of them and passes its patterns. Also works for files that no longer exist.
+ * Like findFiles(), files in a directory that the patterns exclude do not
+ * belong to the input paths.
+ */
+UberCompiler.prototype.isInputFile_ = function(file, inputPaths, fileExtensions, isDirectory) {
+  if (!isDirectory && !file.match(module.exports.getFileExtensionRegex(fileExtensions)))
+    return false;
+  return _.some(this.getPathEntries_(inputPaths), function(entry) {
+    if (!module.exports.isFileInPaths(file, [entry.path]) || !entry.filter(file, isDirectory))
+      return false;
+    var root = path.resolve(entry.path);
+    for (var dir = path.dirname(path.resolve(file)); dir.length > root.length; dir = path.dirname(dir)) {
+      if (!entry.filter(dir, true))
+        return false;
+    }
+    return true;
+  });
+};
 
-  for (var i = 0, l = externFiles.length; i < l; i++) {
-    jsCmd += ' --externs ' + externFiles[i];
-  }
-  for (var i = 0, l = jsFiles.length; i < l; i++) {
-    jsCmd += ' --js ' + jsFiles[i];
-  }
-  if (soyJsPath) {
-    jsCmd += ' --js ' + path.join(__dirname, 'third-party/checks.js');
-    jsCmd += ' --js ' + path.join(__dirname, 'third-party/soy-2021-02-01-soyutils_usegoog.js');
-    jsCmd += ' --js ' + soyJsPath;
-  }
-  jsCmd += ' > ' + path.join(this.outputDir, this.getJsFilename());
 
-  childProcess.exec(jsCmd, _.bind(function(error, stdout, stderr) {
-    if (stderr && stderr.length) {
-      console.error(stderr);
-      return;
-    }
-    console.log('Successfully compiled JS files');
-    this.compilingJs_ = false;
-    this.checkEnd_();
+/**
+ * Compiles the resources that are out of date and starts watching for changes.
+ * Returns a promise that resolves with a summary of the output files and
+ * warnings, or rejects with a CompileError naming the stage that failed.
+ */
+UberCompiler.prototype.run = function() {
+  if (!this.dontWatchFiles)
+    this.watch_();
+  if (!this.bundles_)
+    return this.build_();
+
+  // Hold back the idle event until every bundle has had a chance to start.
+  var startTime = Date.now();
+  this.startingBuild_ = true;
+  var promises = _.map(this.bundles_, function(bundle) {
+    return bundle.build_().then(function(result) {
+      return { result: result };
+    }, function(error) {
+      return { error: error };
+    });
+  });
+  this.startingBuild_ = false;
+  this.checkEnd_();
 
-    if (soyJsPath) {
-      childProcess.exec('rm ' + soyJsPath);
-      soyJsPath = null;
-    }
-  }, this));
+  var promise = Promise.all(promises).then(function(outcomes) {
+    var error = _.find(_.pluck(outcomes, 'error'), _.identity);
+    if (error)
+      throw error;
+    var results = _.pluck(outcomes, 'result');
+    return {
+      files: _.flatten(_.pluck(results, 'files'), true),
+      warnings: _.flatten(_.pluck(results, 'warnings'), true),
+      time: Date.now() - startTime
+    };
+  });
+  promise.catch(function() {});
+  return promise;
 };
 
 
-UberCompiler.prototype.compileJs_ = function() {
-  console.log('Compiling JS files');
-  this.compilingJs_ = true;
+/**
+ * Compiles the pipelines of this instance that are out of date. See run().
+ */
+UberCompiler.prototype.build_ = function() {
+  var startTime = Date.now();
+  var files = [];
+  var warnings = [];
+  var error = null;
+  var resolvePromise, rejectPromise;
+  var promise = new Promise(function(resolve, reject) {
+    resolvePromise = resolve;
+    rejectPromise = reject;
+  });
 
-  var soyJsPath = path.join(this.outputDir, 'soy.js');
-  var fileExtensionRegex = module.exports.getFileExtensionRegex('soy');
-  var soyFiles = [];
-  for (var i = 0, l = this.jsPaths.length; i < l; i++)
-    soyFiles = soyFiles.concat(module.exports.findFiles(this.jsPaths[i], fileExtensionRegex));
+  var finish = function() {
+    if (error)
+      rejectPromise(error);
+    else
+      resolvePromise({ files: files, warnings: warnings, time: Date.now() - startTime });
+  };
+  var onCompiled = function(err, outputFiles, outputWarnings) {
+    warnings = warnings.concat(outputWarnings);
+    if (err)
+      error = error || err;
+    else
+      files = files.concat(outputFiles);
+    if (--pending === 0)
+      finish();
+  };
 
-  if (soyFiles && soyFiles.length) {
-    var soyCmd = 'java -jar ' + path.join(__dirname, 'third-party/soy-2021-02-01-SoyToJsSrcCompiler.jar');
-    soyCmd += ' --outputPathFormat ' + soyJsPath;
-    var srcs = [];
-    for (var i = 0, l = soyFiles.length; i < l; i++)
-      srcs.push(soyFiles[i]);
-    soyCmd += ' --srcs ' + srcs.join(',');
+  // Count both pipelines up front, since either may complete synchronously.
+  var compileJs = this.shouldCompileJs_();
+  var compileCss = this.shouldCompileCss_();
+  var pending = (compileJs ? 1 : 0) + (compileCss ? 1 : 0);
+
+  // A pipeline that fails before it starts calls back synchronously, so hold
+  // back the idle event until the other one has started too.
+  this.startingBuild_ = true;
+  // Pipelines that are up to date report the warnings of the compile that
+  // produced their outputs.
+  var skip = _.bind(function(type, filenames) {
+    var skippedFiles = this.getOutputFiles_(type, filenames, 0, true);
+    var skippedWarnings = (this.readBuildManifest_().warnings || {})[type] || [];
+    files = files.concat(skippedFiles);
+    warnings = warnings.concat(skippedWarnings);
+    this.updateAssetManifest_(type);
+    this.emit('compile:skip', { bundle: this.moduleName, type: type, trigger: 'run',
+        files: skippedFiles, warnings: skippedWarnings, diagnostics: skippedWarnings });
+  }, this);
+
+  if (compileJs)
+    this.requestCompile_('js', 'run', onCompiled);
+  else if (this.jsPaths.length)
+    skip('js', [this.getJsFilename(), this.getJsMapFilename()]);
+  if (compileCss)
+    this.requestCompile_('css', 'run', onCompiled);
+  else if (this.cssPaths.length)
+    skip('css', this.getCssOutputFilenames_());
+  this.startingBuild_ = false;
+  if (!compileJs && !compileCss)
+    finish();
+  this.checkEnd_();
 
-    childProcess.exec(soyCmd, _.bind(function(error, stdout, stderr) {
-      if (stderr && stderr.length) {
-        console.error(stderr);
-        return;
-      }
-      this.compileJsFinal_(soyJsPath);
-    }, this));
-  }
-  else {
-    this.compileJsFinal_();
-  }
+  // Failures are already logged, so callers that ignore the promise should not
+  // trigger an unhandled rejection.
+  promise.catch(function() {});
+  return promise;
 };
 
 
-UberCompiler.prototype.compileCss_ = function() {
-  this.compilingCss_ = true;
+UberCompiler.prototype.terminate = function() {
+  if (!this.dontWatchFiles)
+    this.unwatch_();
+  clearInterval(this.liveReloadTimer_);
+  this.liveReloadTimer_ = null;
+  this.liveReloadClients_.forEach(function(client) {
+    client.end();
+  });
+  this.liveReloadClients_ = [];
+};
 
-  var fileExtensionRegex = module.exports.getFileExtensionRegex('css|less');
-  var files = [];
-  for (var i = 0, l = this.cssPaths.length; i < l; i++) {
-    files = files.concat(module.exports.findFiles(this.cssPaths[i], fileExtensionRegex));
-  }
 
-  console.log('Compressing ' + files.length + ' CSS files');
+/**
+ * Returns the names of the configured bundles, or just the moduleName without
+ * the bundles option.
+ */
+UberCompiler.prototype.getBundleNames = function() {
+  return _.pluck(this.getBundles_(), 'moduleName');
+};
 
-  var data = '';
-  for (var i = 0, l = files.length; i < l; i++) {
-    var fileData = fs.readFileSync(files[i]);
-    if (fileData && fileData.length) {
-      data += fileData;
-    }
-  }
 
-  var options = {
-    compress: this.compressCss,
-    sourceMap: {},
-  };
-  less.render(data, options, _.bind(function(err, output) {
-    if (err) {
-      var message = 'CSS ' + err.type + ' Error: ' + err.message;
-      if (err.extract && err.extract.length) {
-        for (var i = 0, l = err.extract.length; i < l; i++) {
-          message += '\n  ' + err.extract[i];
-        }
-      }
-      console.error(message);
+/**
+ * Returns an Express/Connect middleware that serves the outputs of all bundles,
+ * including the previous generations kept by keepPreviousBuilds. Requests that
+ * arrive while files changed or a rebuild is running wait until it is done, so
+ * they never get stale or partial files. Content-hashed names are cached for
+ * good, other names are revalidated with their ETag. Other requests are passed
+ * on. Mount it where outputDir is served, such as app.use('/cached', ...).
+ * With the liveReload option it also serves the live reload client script at
+ * uber-compiler/live-reload.js and its events at uber-compiler/events.
+ */
+UberCompiler.prototype.middleware = function() {
+  return _.bind(function(req, res, next) {
+    if (req.method != 'GET' && req.method != 'HEAD') {
+      next();
       return;
     }
-    fs.writeFileSync(path.join(this.outputDir, this.getCssFilename()), output.css);
-    if (output.map) {
-      fs.writeFileSync(path.join(this.outputDir, this.getCssMapFilename()), output.map);
+    var filename;
+    try {
+      filename = decodeURIComponent(req.url.split('?')[0]).replace(/^\/+/, '');
+    }
+    catch (exception) {
+      next();
+      return;
+    }
+    if (this.liveReload && filename == 'uber-compiler/events') {
+      this.addLiveReloadClient_(req, res);
+      return;
+    }
+    if (this.liveReload && filename == 'uber-compiler/live-reload.js') {
+      fs.readFile(path.join(__dirname, 'live-reload.js'), function(err, data) {
+        if (err) {
+          next(err);
+          return;
+        }
+        res.setHeader('Content-Type', OUTPUT_CONTENT_TYPES['.js']);
+        res.setHeader('Cache-Control', 'no-cache');
+        res.statusCode = 200;
+        res.end(req.method == 'HEAD' ? undefined : data);
+      });
+      return;
     }
 
-    console.log('Successfully compressed CSS files');
-    this.compilingCss_ = false;
-    this.checkEnd_();
-  }, this));
+    this.whenIdle_(_.bind(function() {
+      var output = this.findServedOutput_(filename);
+      if (!output) {
+        next();
+        return;
+      }
+      fs.readFile(output.path, function(err, data) {
+        if (err) {
+          next();
+          return;
+        }
+        var etag = '"' + crypto.createHash('sha1').update(data).digest('hex') + '"';
+        res.setHeader('ETag', etag);
+        res.setHeader('Cache-Control', output.immutable ?
+            'public, max-age=31536000, immutable' : 'no-cache');
+        if (req.headers['if-none-match'] == etag) {
+          res.statusCode = 304;
+          res.end();
+          return;
+        }
+        res.setHeader('Content-Type', OUTPUT_CONTENT_TYPES[path.extname(filename)]);
+        res.setHeader('Content-Length', data.length);
+        res.statusCode = 200;
+        res.end(req.method == 'HEAD' ? undefined : data);
+      });
+    }, this));
+  }, this);
 };
 
 
-UberCompiler.prototype.watch_ = function() {
-  var watchHelper = _.bind(function(searchPath) {
-    var cmd = 'find ' + searchPath + ' | grep -E "\.(js|soy|css|less)$"';
-    childProcess.exec(cmd, _.bind(function(error, stdout, stderr) {
-      var files = stdout.trim().split("\n");
-      files.forEach(_.bind(function(file) {
-        this.files.push(file);
-
-        fs.watchFile(file, { interval: 500 }, _.bind(function(curr, prev) {
-          var currMTime = +curr.mtime.valueOf();
-          var prevMTime = +prev.mtime.valueOf();
-
-          // Check to make sure that this file has not already been flagged for change.
-          if (currMTime <= prevMTime || (
-              typeof this.fileChangeMap[file] !== 'undefined' &&
-              this.fileChangeMap[file] >= currMTime)) {
-            return;
-          }
-          this.fileChangeMap[file] = currMTime;
-
-          // Proceed to handle file change.
-          this.onFileChange_(file);
-        }, this)); // watch file
-
-      }, this)); // for each file
-    }, this)); // childProcess.exec
-  }, this); // watch helper
-
-  for (var i = 0, l = this.externPaths.length; i < l; i++)
-    watchHelper(this.externPaths[i]);
-  for (var i = 0, l = this.jsPaths.length; i < l; i++)
-    watchHelper(this.jsPaths[i]);
-  for (var i = 0, l = this.cssPaths.length; i < l; i++)
-    watchHelper(this.cssPaths[i]);
-};
-
+/**
+ * Keeps a Server-Sent Events response open to tell the live reload client
+ * about rebuilds.
+ */
+UberCompiler.prototype.addLiveReloadClient_ = function(req, res) {
+  if (!this.liveReloadFilenames_) {
+    // The names of the stylesheets pages link to before the next CSS rebuild.
+    this.liveReloadFilenames_ = {};
+    this.getBundles_().forEach(function(bundle) {
+      this.liveReloadFilenames_[bundle.moduleName] = bundle.getStylesheetFilenames_();
+    }, this);
+    this.on('compile:success', this.sendLiveReload_.bind(this));
+    // Failed builds only change the outputs in debug mode.
+    this.on('compile:error', _.bind(function(event) {
+      if (this.getBundle_(event.bundle).debug)
+        this.sendLiveReload_(event);
+    }, this));
+  }
 
-UberCompiler.prototype.unwatch_ = function() {
-  this.files.forEach(function(file) {
-    fs.unwatchFile(file);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
   });
-  this.files = [];
-};
+  res.write(': connected\n\n');
+  this.liveReloadClients_.push(res);
+  req.on('close', _.bind(function() {
+    this.liveReloadClients_ = _.without(this.liveReloadClients_, res);
+    if (!this.liveReloadClients_.length) {
+      clearInterval(this.liveReloadTimer_);
+      this.liveReloadTimer_ = null;
+    }
+  }, this));
 
+  // Proxies close connections that stay quiet for too long.
+  if (!this.liveReloadTimer_) {
+    this.liveReloadTimer_ = setInterval(_.bind(function() {
+      this.liveReloadClients_.forEach(function(client) {
+        client.write(': ping\n\n');
+      });
+    }, this), 30000);
+  }
+};
 
-UberCompiler.prototype.onFileChange_ = function(file) {
-  console.log('Detected file change: ' + file);
 
-  var fileExtensionPattern = module.exports.getFileExtensionRegex('js|soy');
-  if (file.match(fileExtensionPattern)) {
-    this.fileChangedJs = true;
+/**
+ * Sends a compile:success event to the live reload clients. JS events carry the
+ * new filename, CSS events also map each stylesheet name pages may link to
+ * onto its new name.
+ */
+UberCompiler.prototype.sendLiveReload_ = function(event) {
+  var bundle = this.getBundle_(event.bundle);
+  var data = { bundle: event.bundle };
+  if (event.type == 'js') {
+    data.filename = bundle.getJsFilename();
   }
   else {
-    fileExtensionPattern = module.exports.getFileExtensionRegex('css|less');
-    if (file.match(fileExtensionPattern)) {
-      this.fileChangedCss = true;
-    }
+    data.filename = bundle.getCssFilename();
+    var filenames = bundle.getStylesheetFilenames_();
+    data.replace = _.object(this.liveReloadFilenames_[event.bundle], filenames);
+    // Names that did not change are replaced too, so the client reloads them.
+    filenames.forEach(function(filename) {
+      data.replace[filename] = filename;
+    });
+    this.liveReloadFilenames_[event.bundle] = filenames;
   }
+  var message = 'event: ' + event.type + '\ndata: ' + JSON.stringify(data) + '\n\n';
+  this.liveReloadClients_.forEach(function(client) {
+    client.write(message);
+  });
+};
 
-  // De-bouce in case a few files were saved at the same time.
-  clearTimeout(this.fileChangedTimer);
-  this.fileChangedTimer = setTimeout(_.bind(function() {
-    this.fileChangedTimer = null;
 
-    if (this.fileChangedJs) {
-      this.fileChangedJs = false;
-      this.compileJs_();
-    }
-    if (this.fileChangedCss) {
-      this.fileChangedCss = false;
-      this.compileCss_();
-    }
-  }, this), 500);
+/**
+ * Returns the names of the css outputs without their source maps, in the same
+ * order as getCssOutputFilenames_().
+ */
+UberCompiler.prototype.getStylesheetFilenames_ = function() {
+  return _.filter(this.getCssOutputFilenames_(), function(filename, i) {
+    return i % 2 === 0;
+  });
 };
 
 
-UberCompiler.prototype.shouldCompileJs_ = function() {
-  return this.shouldCompile_(this.jsPaths, this.getJsFilename(), 'js|soy');
+/**
+ * Returns {path, immutable} for an output filename that may be served, or null.
+ * Source maps kept in sourceMapDir are not served.
+ */
+UberCompiler.prototype.findServedOutput_ = function(filename) {
+  if (!filename || filename.indexOf('/') != -1 || filename.indexOf('\\') != -1 ||
+      !_.has(OUTPUT_CONTENT_TYPES, path.extname(filename))) {
+    return null;
+  }
+  var bundle = _.find(this.getBundles_(), function(bundle) {
+    if (bundle.sourceMapDir && path.extname(filename) == '.map')
+      return false;
+    var filenames = [bundle.getJsFilename(), bundle.getJsMapFilename()]
+        .concat(bundle.getCssOutputFilenames_());
+    _.each(bundle.readBuildManifest_().history || {}, function(generations) {
+      filenames = filenames.concat(_.flatten(generations));
+    });
+    return _.contains(filenames, filename);
+  });
+  if (!bundle)
+    return null;
+  return { path: path.join(bundle.outputDir, filename), immutable: bundle.useContentHash };
 };
 
 
-UberCompiler.prototype.shouldCompileCss_ = function() {
-  return this.shouldCompile_(this.cssPaths, this.getCssFilename(), 'css|less');
+/**
+ * Calls the callback once no file change is waiting to be compiled and no
+ * bundle is compiling, right away if that is already the case.
+ */
+UberCompiler.prototype.whenIdle_ = function(callback) {
+  if (this.isIdle_())
+    callback();
+  else
+    this.idleCallbacks_.push(callback);
+};
+
+
+UberCompiler.prototype.isIdle_ = function() {
+  var compiling = _.some(this.getBundles_(), function(bundle) {
+    return bundle.compilingJs_ || bundle.compilingCss_;
+  });
+  return !compiling && !this.startingBuild_ && !this.fileChangedTimer;
+};
+
+
+UberCompiler.prototype.runIdleCallbacks_ = function() {
+  var callbacks = this.idleCallbacks_;
+  this.idleCallbacks_ = [];
+  callbacks.forEach(function(callback) {
+    callback();
+  });
+};
+
+
+/**
+ * Removes every artifact this compiler has produced in outputDir: current and
+ * previous outputs, the build manifest, its asset manifest entries and leftover
+ * temporary files. Returns the list of removed paths.
+ */
+UberCompiler.prototype.clean = function() {
+  if (this.bundles_) {
+    return _.flatten(_.map(this.bundles_, function(bundle) {
+      return bundle.clean();
+    }), true);
+  }
+
+  var manifest = this.readBuildManifest_();
+  var filenames = _.values(this.outputFilenames_);
+  filenames.push(this.getJsFilename(), this.getJsMapFilename());
+  filenames = filenames.concat(this.getCssOutputFilenames_());
+  _.each(manifest.history || {}, function(generations) {
+    filenames = filenames.concat(_.flatten(generations));
+  });
+  filenames.push('.' + this.moduleName + '.build.json', this.moduleName + '.soy.js', 'soy.js');
+
+  // Temporary files are named after their output with the writer's pid and a
+  // counter.
+  var tempPrefixes = [this.moduleName + '.', '.' + this.moduleName + '.', 'soy.js.'];
+  if (this.manifestFilename)
+    tempPrefixes.push(this.manifestFilename + '.');
+  var dirNames = [];
+  try {
+    dirNames = fs.readdirSync(this.outputDir);
+  }
+  catch (exception) {
+  }
+  dirNames.forEach(function(name) {
+    var isTemp = name.match(/\.\d+(-\d+)?\.tmp$/) && _.some(tempPrefixes, function(prefix) {
+      return name.indexOf(prefix) === 0;
+    });
+    if (isTemp)
+      filenames.push(name);
+  });
+
+  var removed = [];
+  // Maps of earlier builds may still be in outputDir if sourceMapDir was set
+  // later.
+  var filePaths = [];
+  _.uniq(_.compact(filenames)).forEach(function(filename) {
+    filePaths.push(this.getOutputPath_(filename), path.join(this.outputDir, filename));
+  }, this);
+  _.uniq(filePaths).forEach(function(filePath) {
+    if (fs.existsSync(filePath)) {
+      this.removeFile_(filePath);
+      removed.push(filePath);
+    }
+  }, this);
+
+  this.outputFilenames_ = {};
+  this.removeAssetManifestEntries_();
+  return removed;
+};
+
+
+/**
+ * Returns the name of the output javascript file. With the bundles option the
+ * bundle name may be given, otherwise the first bundle is used.
+ */
+UberCompiler.prototype.getJsFilename = function(bundleName) {
+  if (this.bundles_)
+    return this.getBundle_(bundleName).getJsFilename();
+  if (this.useContentHash)
+    return this.outputFilenames_.js || null;
+  return this.moduleName + this.hash + '.js';
+};
+
+
+/**
+ * Returns the name of the output javascript source map file. Takes an optional
+ * bundle name.
+ */
+UberCompiler.prototype.getJsMapFilename = function(bundleName) {
+  if (this.bundles_)
+    return this.getBundle_(bundleName).getJsMapFilename();
+  if (this.useContentHash)
+    return this.outputFilenames_.jsMap || null;
+  return this.moduleName + this.hash + '.js.map';
+};
+
+
+/**
+ * Returns the name of the output css file. Takes an optional bundle name.
+ */
+UberCompiler.prototype.getCssFilename = function(bundleName) {
+  if (this.bundles_)
+    return this.getBundle_(bundleName).getCssFilename();
+  if (this.useContentHash)
+    return this.outputFilenames_.css || null;
+  return this.moduleName + this.hash + '.css';
+};
+
+
+/**
+ * Returns the name of the output css source map file. Takes an optional bundle
+ * name.
+ */
+UberCompiler.prototype.getCssMapFilename = function(bundleName) {
+  if (this.bundles_)
+    return this.getBundle_(bundleName).getCssMapFilename();
+  if (this.useContentHash)
+    return this.outputFilenames_.cssMap || null;
+  return this.moduleName + this.hash + '.css.map';
+};
+
+
+/**
+ * Returns the name of the output css file of a theme. Takes an optional bundle
+ * name.
+ */
+UberCompiler.prototype.getThemeCssFilename = function(theme, bundleName) {
+  if (this.bundles_)
+    return this.getBundle_(bundleName).getThemeCssFilename(theme);
+  if (this.useContentHash)
+    return this.outputFilenames_['css.' + theme] || null;
+  return this.moduleName + this.hash + '.' + theme + '.css';
+};
+
+
+/**
+ * Returns the name of the output css source map file of a theme. Takes an
+ * optional bundle name.
+ */
+UberCompiler.prototype.getThemeCssMapFilename = function(theme, bundleName) {
+  if (this.bundles_)
+    return this.getBundle_(bundleName).getThemeCssMapFilename(theme);
+  if (this.useContentHash)
+    return this.outputFilenames_['cssMap.' + theme] || null;
+  return this.moduleName + this.hash + '.' + theme + '.css.map';
+};
+
+
+/**
+ * Returns the names of the css outputs and their source maps, including the
+ * themes.
+ */
+UberCompiler.prototype.getCssOutputFilenames_ = function() {
+  var filenames = [this.getCssFilename(), this.getCssMapFilename()];
+  _.keys(this.themes).forEach(function(theme) {
+    filenames.push(this.getThemeCssFilename(theme), this.getThemeCssMapFilename(theme));
+  }, this);
+  return filenames;
+};
+
+
+/**
+ * Returns the path of an output file. Source maps go to sourceMapDir if set.
+ */
+UberCompiler.prototype.getOutputPath_ = function(filename) {
+  var isMap = (path.extname(filename) == '.map');
+  return path.join(isMap && this.sourceMapDir ? this.sourceMapDir : this.outputDir, filename);
+};
+
+
+/**
+ * Returns the output filename for the given contents. With useContentHash the
+ * name holds a hash of the contents, otherwise it is the fixed name.
+ */
+UberCompiler.prototype.getOutputFilename_ = function(data, extension) {
+  if (!this.useContentHash)
+    return this.moduleName + this.hash + extension;
+  var hash = crypto.createHash('sha1').update(data).digest('hex').substr(0, 8);
+  return this.moduleName + '.' + hash + extension;
+};
+
+
+/**
+ * Generate simple unsecure hash based on all the options in this object.
+ */
+UberCompiler.prototype.getHash_ = function() {
+  var hash = 275329; // Salt
+  for (var property in this) {
+    switch (typeof this[property]) {
+      case 'object': {
+        var arr = this[property];
+        for (var i in arr) {
+          if (typeof arr[i] === 'string')
+            hash = this.addToHash_(hash, arr[i]);
+        }
+        break;
+      }
+      case 'boolean':
+        hash = this.addToHash_(hash, this[property] ? 'Y' : 'n');
+        break;
+      case 'string':
+        hash = this.addToHash_(hash, this[property]);
+        break;
+      default:
+    }
+  }
+  return hash;
+};
+
+
+UberCompiler.prototype.addToHash_ = function(hash, text) {
+  for (var i = 0, l = text.length; i < l; i++) {
+    var code = text.charCodeAt(i);
+    hash = ((hash << 5) - hash) + code;
+    hash = hash & hash;
+  }
+  return hash;
+};
+
+
+/**
+ * Describes the given output files for the build result. Files that do not
+ * exist are left out, which is the case for optional source maps.
+ */
+UberCompiler.prototype.getOutputFiles_ = function(type, filenames, time, upToDate) {
+  var files = [];
+  for (var i = 0, l = filenames.length; i < l; i++) {
+    if (!filenames[i])
+      continue;
+    var outputPath = this.getOutputPath_(filenames[i]);
+    var stats;
+    try {
+      stats = fs.statSync(outputPath);
+    }
+    catch (exception) {
+      continue;
+    }
+    files.push({
+      bundle: this.moduleName,
+      type: type,
+      filename: filenames[i],
+      path: outputPath,
+      size: stats.size,
+      time: time,
+      upToDate: !!upToDate
+    });
+  }
+  return files;
+};
+
+
+UberCompiler.prototype.getSoyRuntimeFiles_ = function() {
+  return _.map(SOY_RUNTIME_FILES, function(file) {
+    return path.join(__dirname, file);
+  });
+};
+
+
+/**
+ * Returns the JS files of the Closure Library at closureLibraryPath, which can
+ * be a checkout of closure-library or the directory with base.js. Tests and
+ * node_modules are left out. Throws if base.js is not found.
+ */
+UberCompiler.prototype.findClosureLibraryFiles_ = function() {
+  var root = this.closureLibraryPath;
+  if (!fs.existsSync(path.join(root, 'base.js')) &&
+      !fs.existsSync(path.join(root, 'closure/goog/base.js'))) {
+    throw new Error('Closure Library base.js not found in ' + root);
+  }
+  var filter = module.exports.createPathFilter(root, [], ['*_test.js', '**/node_modules/**']);
+  return module.exports.findFiles(root, module.exports.getFileExtensionRegex('js'), filter);
+};
+
+
+UberCompiler.prototype.compileJsFinal_ = function(soyJsPath, buildId, callback) {
+  var jsFiles = this.findInputFiles_(this.jsPaths, 'js');
+  var externFiles = this.findInputFiles_(this.externPaths, 'js');
+  if (soyJsPath) {
+    jsFiles = jsFiles.concat(this.getSoyRuntimeFiles_());
+    jsFiles.push(soyJsPath);
+  }
+
+  if (this.sortDependencies || this.closureLibraryPath) {
+    var problems;
+    try {
+      var entryPoints = this.entryPoints;
+      if (this.closureLibraryPath) {
+        // Without entry points every input is kept, and the library only
+        // contributes the files these inputs reach.
+        if (!entryPoints.length)
+          entryPoints = jsFiles.slice();
+        jsFiles = jsFiles.concat(this.findClosureLibraryFiles_());
+      }
+      var result = deps.sortFiles(jsFiles, entryPoints);
+      jsFiles = result.files;
+      problems = deps.formatProblems(result);
+    }
+    catch (exception) {
+      problems = 'Failed to read dependencies: ' + exception.message;
+    }
+    if (problems) {
+      if (soyJsPath)
+        this.removeFile_(soyJsPath);
+      callback(new CompileError('deps', problems));
+      return;
+    }
+  }
+
+  var jsArgs = [];
+
+  jsArgs.push('--compilation_level', this.compileMode);
+  jsArgs.push('--warning_level', this.warningLevel);
+  if (this.prettyPrint)
+    jsArgs.push('--formatting', 'pretty_print');
+
+  for (var i = 0, l = externFiles.length; i < l; i++) {
+    jsArgs.push('--externs', externFiles[i]);
+  }
+  for (var i = 0, l = jsFiles.length; i < l; i++) {
+    jsArgs.push('--js', jsFiles[i]);
+  }
+  var tempPath = this.getTempPath_(path.join(this.outputDir, this.moduleName + '.js'));
+  var tempMapPath = this.getTempPath_(path.join(this.outputDir, this.moduleName + '.js.map'));
+  jsArgs.push('--js_output_file', tempPath);
+  jsArgs.push('--create_source_map', tempMapPath);
+  // The Soy output is a temporary file, so sources are embedded in the map.
+  jsArgs.push('--source_map_include_content');
+
+  // Long input lists can exceed the OS limit for a command line, so pass them
+  // to Closure through a flagfile instead.
+  var flagfilePath = null;
+  if (jsArgs.join(' ').length > MAX_COMMAND_LENGTH) {
+    flagfilePath = this.getTempPath_(path.join(os.tmpdir(), 'uber-compiler.flags'));
+    try {
+      fs.writeFileSync(flagfilePath, module.exports.formatFlagfile(jsArgs));
+    }
+    catch (exception) {
+      if (soyJsPath)
+        this.removeFile_(soyJsPath);
+      callback(new CompileError('closure', 'Failed to write flagfile: ' + exception.message));
+      return;
+    }
+    jsArgs = ['--flagfile', flagfilePath];
+  }
+
+  var soyTempPath = soyJsPath;
+  var closureCommand = getClosureCommand(jsArgs);
+  this.activeChildren_.js = this.runCommand_(closureCommand.command, closureCommand.args,
+      _.bind(function(error, stdout, stderr) {
+    if (soyJsPath) {
+      this.removeFile_(soyJsPath);
+      soyJsPath = null;
+    }
+    if (flagfilePath)
+      this.removeFile_(flagfilePath);
+    var removeTempFiles = _.bind(function() {
+      this.removeFile_(tempPath);
+      this.removeFile_(tempMapPath);
+    }, this);
+
+    // The exit status decides the outcome, stderr may only hold warnings.
+    if (error) {
+      removeTempFiles();
+      callback(new CompileError('closure', stderr || error.message,
+          diagnostics.parse('closure', stderr, 'error')));
+      return;
+    }
+    if (!this.isCurrentBuild_('js', buildId)) {
+      removeTempFiles();
+      callback(null, []);
+      return;
+    }
+    try {
+      this.writeJsOutputs_(fs.readFileSync(tempPath, 'utf8'),
+          fs.readFileSync(tempMapPath, 'utf8'), soyTempPath);
+    }
+    catch (exception) {
+      callback(new CompileError('closure', 'Failed to write JS output: ' + exception.message));
+      return;
+    }
+    finally {
+      removeTempFiles();
+    }
+    console.log('Successfully compiled JS files');
+    callback(null, this.getWarnings_('closure', stderr));
+  }, this));
+};
+
+
+/**
+ * Writes the compiled JS and its source map. Sources in the map are made
+ * relative to the map and the temporary Soy output is named after the module.
+ * The JS links to the map unless maps are kept in a separate sourceMapDir.
+ */
+UberCompiler.prototype.writeJsOutputs_ = function(js, mapData, soyTempPath) {
+  var map = JSON.parse(mapData);
+  var mapDir = this.sourceMapDir || this.outputDir;
+  map.sources = _.map(map.sources || [], function(source) {
+    if (soyTempPath && path.resolve(source) == path.resolve(soyTempPath))
+      return this.moduleName + '.soy.js';
+    return path.relative(mapDir, path.resolve(source)).split(path.sep).join('/');
+  }, this);
+
+  // The JS holds the name of the map and the map holds the name of the JS, so
+  // the map is named by its contents without the file field. The JS is named
+  // by its final contents, comment included.
+  var filenames = {};
+  delete map.file;
+  filenames.jsMap = this.getOutputFilename_(JSON.stringify(map), '.js.map');
+  if (!this.sourceMapDir)
+    js += '\n//# sourceMappingURL=' + filenames.jsMap + '\n';
+  filenames.js = this.getOutputFilename_(js, '.js');
+  map.file = filenames.js;
+  mapData = JSON.stringify(map);
+
+  this.writeFilesAtomic_([
+    { path: this.getOutputPath_(filenames.js), data: js },
+    { path: this.getOutputPath_(filenames.jsMap), data: mapData }
+  ]);
+  this.outputFilenames_.js = filenames.js;
+  this.outputFilenames_.jsMap = filenames.jsMap;
+};
+
+
+/**
+ * Runs an external tool without a shell, so arguments are passed through as
+ * they are. Output is collected from the streams rather than buffered by exec,
+ * which has a size limit. The callback receives an error if the tool could not
+ * be started or exited with a non-zero status, followed by stdout and stderr.
+ * Returns the child process.
+ */
+UberCompiler.prototype.runCommand_ = function(command, args, callback) {
+  var stdout = [];
+  var stderr = [];
+  var finished = false;
+  var finish = function(error) {
+    if (finished)
+      return;
+    finished = true;
+    callback(error, Buffer.concat(stdout).toString(), Buffer.concat(stderr).toString());
+  };
+
+  var child;
+  try {
+    // Closure reads its input from stdin without --js inputs, which would
+    // never end, so the tools get no stdin at all.
+    child = childProcess.spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  }
+  catch (exception) {
+    finish(exception);
+    return null;
+  }
+  child.stdout.on('data', function(data) {
+    stdout.push(data);
+  });
+  child.stderr.on('data', function(data) {
+    stderr.push(data);
+  });
+  child.on('error', function(error) {
+    finish(error);
+  });
+  child.on('close', function(code, signal) {
+    var error = null;
+    if (code !== 0) {
+      error = new Error('Command ' + command + ' failed with ' +
+          (signal ? 'signal ' + signal : 'exit code ' + code));
+      error.code = code;
+      error.signal = signal;
+    }
+    finish(error);
+  });
+  return child;
+};
+
+
+/**
+ * Returns a unique path next to the given output path for writing the output
+ * before it is renamed into place, so that readers never see a partial file.
+ */
+UberCompiler.prototype.getTempPath_ = function(outputPath) {
+  return outputPath + '.' + process.pid + '-' + (++tempFileCounter) + '.tmp';
+};
+
+
+/**
+ * Writes each {path, data} pair to a temporary file first and then renames all
+ * of them into place. Throws without touching the outputs if a write fails.
+ */
+UberCompiler.prototype.writeFilesAtomic_ = function(outputs) {
+  var tempPaths = [];
+  try {
+    for (var i = 0, l = outputs.length; i < l; i++) {
+      tempPaths.push(this.getTempPath_(outputs[i].path));
+      fs.writeFileSync(tempPaths[i], outputs[i].data);
+    }
+  }
+  catch (exception) {
+    tempPaths.forEach(this.removeFile_, this);
+    throw exception;
+  }
+  for (var i = 0, l = outputs.length; i < l; i++)
+    fs.renameSync(tempPaths[i], outputs[i].path);
+};
+
+
+UberCompiler.prototype.removeFile_ = function(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  }
+  catch (exception) {
+  }
+};
+
+
+/**
+ * Parses the stderr output of a successful tool run into warning diagnostics.
+ */
+UberCompiler.prototype.getWarnings_ = function(stage, stderr) {
+  return diagnostics.parse(stage, stderr, 'warning');
+};
+
+
+/**
+ * Starts compiling a pipeline, or handles a request that comes in while it is
+ * still compiling according to rebuildStrategy. The trigger is 'run' or
+ * 'watch' and is passed along with the events. The optional callback receives
+ * an error or null, the list of output files and the list of warnings once the
+ * newest compile of the pipeline ends.
+ */
+UberCompiler.prototype.requestCompile_ = function(type, trigger, callback) {
+  if (callback)
+    this.compileCallbacks_[type].push(callback);
+  this.buildIds_[type]++;
+
+  var compiling = (type == 'js' ? this.compilingJs_ : this.compilingCss_);
+  if (compiling && this.rebuildStrategy != 'restart') {
+    this.rebuildQueued_[type] = trigger;
+    return;
+  }
+  if (compiling && this.activeChildren_[type])
+    this.activeChildren_[type].kill();
+  this.startCompile_(type, trigger);
+};
+
+
+UberCompiler.prototype.startCompile_ = function(type, trigger) {
+  if (type == 'js')
+    this.compileJs_(trigger);
+  else
+    this.compileCss_(trigger);
+};
+
+
+UberCompiler.prototype.isCurrentBuild_ = function(type, buildId) {
+  return this.buildIds_[type] === buildId;
+};
+
+
+/**
+ * Ends a compile that a newer request replaced without touching the outputs,
+ * and starts the queued compile if there is one.
+ */
+UberCompiler.prototype.discardCompile_ = function(type, trigger) {
+  console.log('Discarded outdated ' + type.toUpperCase() + ' compile');
+  this.emit('compile:cancel', { bundle: this.moduleName, type: type, trigger: trigger });
+  var queuedTrigger = this.rebuildQueued_[type];
+  if (queuedTrigger) {
+    this.rebuildQueued_[type] = null;
+    this.startCompile_(type, queuedTrigger);
+  }
+};
+
+
+/**
+ * Calls back everyone waiting for the pipeline to compile.
+ */
+UberCompiler.prototype.runCompileCallbacks_ = function(type, err, files, warnings) {
+  var callbacks = this.compileCallbacks_[type];
+  this.compileCallbacks_[type] = [];
+  callbacks.forEach(function(callback) {
+    callback(err, files, warnings);
+  });
+};
+
+
+/**
+ * Compiles soy templates and JS files. Use requestCompile_() to start it.
+ */
+UberCompiler.prototype.compileJs_ = function(trigger) {
+  console.log('Compiling JS files');
+  this.compilingJs_ = true;
+  this.emit('compile:start', { bundle: this.moduleName, type: 'js', trigger: trigger });
+
+  var startTime = Date.now();
+  var buildId = this.buildIds_.js;
+  var buildState = this.getBuildState_('js');
+  var warnings = [];
+  var done = _.bind(function(err, closureWarnings) {
+    if (!this.isCurrentBuild_('js', buildId)) {
+      this.discardCompile_('js', trigger);
+      return;
+    }
+    this.compilingJs_ = false;
+    warnings = warnings.concat(closureWarnings || []);
+    if (!err) {
+      this.saveBuildState_('js', buildState, warnings);
+      this.updateAssetManifest_('js');
+    }
+    var time = Date.now() - startTime;
+    var files = [];
+    this.logWarnings_(warnings);
+    if (err) {
+      console.error(err.message);
+      if (this.debug)
+        this.writeErrorOutputs_('js', err);
+      this.emit('compile:error', { bundle: this.moduleName, type: 'js', trigger: trigger,
+          error: err, warnings: warnings, diagnostics: warnings.concat(err.diagnostics),
+          time: time });
+    }
+    else {
+      files = this.getOutputFiles_('js', [this.getJsFilename(), this.getJsMapFilename()], time);
+      this.emit('compile:success', { bundle: this.moduleName, type: 'js', trigger: trigger,
+          files: files, warnings: warnings, diagnostics: warnings, time: time });
+    }
+    this.runCompileCallbacks_('js', err, files, warnings);
+    this.checkEnd_(err);
+  }, this);
+
+  var soyJsPath = this.getTempPath_(path.join(this.outputDir, this.moduleName + '.soy.js'));
+  var soyFiles = this.findInputFiles_(this.jsPaths, 'soy');
+
+  if (soyFiles && soyFiles.length) {
+    var soyArgs = ['-jar', path.join(__dirname, SOY_COMPILER_JAR)];
+    soyArgs.push('--outputPathFormat', soyJsPath);
+    var srcs = [];
+    for (var i = 0, l = soyFiles.length; i < l; i++)
+      srcs.push(soyFiles[i]);
+    soyArgs.push('--srcs', srcs.join(','));
+
+    this.activeChildren_.js = this.runCommand_('java', soyArgs, _.bind(function(error, stdout, stderr) {
+      if (error) {
+        this.removeFile_(soyJsPath);
+        done(new CompileError('soy', stderr || error.message,
+            diagnostics.parse('soy', stderr, 'error')));
+        return;
+      }
+      if (!this.isCurrentBuild_('js', buildId)) {
+        this.removeFile_(soyJsPath);
+        done(null);
+        return;
+      }
+      warnings = warnings.concat(this.getWarnings_('soy', stderr));
+      this.compileJsFinal_(soyJsPath, buildId, done);
+    }, this));
+  }
+  else {
+    this.compileJsFinal_(null, buildId, done);
+  }
+};
+
+
+UberCompiler.prototype.logWarnings_ = function(warnings) {
+  for (var i = 0, l = warnings.length; i < l; i++)
+    console.warn(diagnostics.format(warnings[i]));
+};
+
+
+/**
+ * Compiles CSS and LESS files. Use requestCompile_() to start it.
+ */
+UberCompiler.prototype.compileCss_ = function(trigger) {
+  this.compilingCss_ = true;
+  this.emit('compile:start', { bundle: this.moduleName, type: 'css', trigger: trigger });
+
+  var startTime = Date.now();
+  var buildId = this.buildIds_.css;
+  var buildState = this.getBuildState_('css');
+  var done = _.bind(function(err) {
+    // LESS runs in this process and can not be stopped, so an outdated result
+    // is simply dropped.
+    if (!this.isCurrentBuild_('css', buildId)) {
+      this.discardCompile_('css', trigger);
+      return;
+    }
+    this.compilingCss_ = false;
+    if (!err) {
+      this.saveBuildState_('css', buildState, []);
+      this.updateAssetManifest_('css');
+    }
+    var time = Date.now() - startTime;
+    var files = [];
+    if (err) {
+      console.error(err.message);
+      if (this.debug)
+        this.writeErrorOutputs_('css', err);
+      this.emit('compile:error', { bundle: this.moduleName, type: 'css', trigger: trigger,
+          error: err, warnings: [], diagnostics: err.diagnostics, time: time });
+    }
+    else {
+      files = this.getOutputFiles_('css', this.getCssOutputFilenames_(), time);
+      this.emit('compile:success', { bundle: this.moduleName, type: 'css', trigger: trigger,
+          files: files, warnings: [], diagnostics: [], time: time });
+    }
+    this.runCompileCallbacks_('css', err, files, []);
+    this.checkEnd_(err);
+  }, this);
+
+  var files = this.findInputFiles_(this.cssPaths, 'css|less');
+
+  console.log('Compressing ' + files.length + ' CSS files');
+
+  // Importing each file instead of concatenating them keeps its origin, so
+  // the source map points at it and its imports resolve from its directory.
+  // Plain CSS files are imported as LESS, which they were compiled as before.
+  var data = _.map(files, function(file) {
+    var importPath = JSON.stringify(file.split(path.sep).join('/'));
+    return '@import ' + (path.extname(file) == '.css' ? '(less) ' : '') + importPath + ';\n';
+  }).join('');
+
+  var options = {
+    // The entry file does not exist, but is where the output is served from,
+    // so that rewritten urls are relative to it.
+    filename: path.join(this.outputDir, this.moduleName + '.less'),
+    paths: this.lessPaths,
+    rewriteUrls: (this.rewriteUrls ? 'local' : 'off'),
+    globalVars: this.globalVars,
+    plugins: this.getLessPlugins_(),
+    compress: this.compressCss,
+    sourceMap: {},
+  };
+
+  // The default output is followed by one output per theme, each rendered
+  // with the theme's variables on top of modifyVars.
+  var themes = [null].concat(_.keys(this.themes));
+  var results = [];
+  var renderNext = _.bind(function() {
+    if (results.length == themes.length) {
+      writeOutputs();
+      return;
+    }
+    var theme = themes[results.length];
+    var themeOptions = _.extend({}, options, {
+      modifyVars: _.extend({}, this.modifyVars, theme ? this.themes[theme] : {})
+    });
+    // Plugins that fail while being installed throw instead of calling back.
+    try {
+      less.render(data, themeOptions, _.bind(function(err, output) {
+        if (err) {
+          done(new CompileError('less', this.formatLessError_(err, options.filename, theme),
+              [diagnostics.fromLessError(err)]));
+          return;
+        }
+        results.push({ theme: theme, css: output.css, map: output.map });
+        renderNext();
+      }, this));
+    }
+    catch (exception) {
+      done(new CompileError('less', this.formatLessError_(exception, options.filename, theme),
+          [diagnostics.fromLessError(exception)]));
+    }
+  }, this);
+
+  var writeOutputs = _.bind(function() {
+    if (!this.isCurrentBuild_('css', buildId)) {
+      done(null);
+      return;
+    }
+    try {
+      this.writeCssOutputs_(results);
+    }
+    catch (exception) {
+      done(new CompileError('less', 'Failed to write CSS output: ' + exception.message));
+      return;
+    }
+    console.log('Successfully compressed CSS files');
+    done(null);
+  }, this);
+
+  renderNext();
+};
+
+
+/**
+ * Returns the lessPlugins followed by a plugin that adds the lessFunctions.
+ */
+UberCompiler.prototype.getLessPlugins_ = function() {
+  var functions = this.lessFunctions;
+  if (_.isEmpty(functions))
+    return this.lessPlugins;
+  return this.lessPlugins.concat([{
+    install: function(less, pluginManager, functionRegistry) {
+      functionRegistry.addMultiple(functions);
+    }
+  }]);
+};
+
+
+UberCompiler.prototype.formatLessError_ = function(err, entryFilename, theme) {
+  var message = 'CSS ' + (err.type || 'Plugin') + ' Error' + (theme ? ' in theme ' + theme : '') + ': ' +
+      err.message;
+  if (err.filename && err.filename != entryFilename)
+    message += ' in ' + err.filename + ' on line ' + err.line + ', column ' + (err.column + 1);
+  if (err.extract && err.extract.length) {
+    // The lines around the error are missing at the start and end of a file.
+    for (var i = 0, l = err.extract.length; i < l; i++) {
+      if (typeof err.extract[i] == 'string')
+        message += '\n  ' + err.extract[i];
+    }
+  }
+  return message;
+};
+
+
+/**
+ * Writes the compiled CSS of the default output and each theme along with
+ * their source maps, like writeJsOutputs_(). Takes [{theme, css, map}].
+ */
+UberCompiler.prototype.writeCssOutputs_ = function(results) {
+  var filenames = {};
+  var outputs = [];
+  var mapDir = this.sourceMapDir || this.outputDir;
+  results.forEach(function(result) {
+    var suffix = (result.theme ? '.' + result.theme : '');
+    var css = result.css;
+    var map = null;
+    var mapFilename;
+    if (result.map) {
+      map = JSON.parse(result.map);
+      map.sources = _.map(map.sources || [], function(source) {
+        return path.relative(mapDir, path.resolve(source)).split(path.sep).join('/');
+      });
+      delete map.file;
+      mapFilename = this.getOutputFilename_(JSON.stringify(map), suffix + '.css.map');
+      if (!this.sourceMapDir)
+        css += '\n/*# sourceMappingURL=' + mapFilename + ' */\n';
+    }
+
+    var cssFilename = this.getOutputFilename_(css, suffix + '.css');
+    filenames['css' + suffix] = cssFilename;
+    outputs.push({ path: path.join(this.outputDir, cssFilename), data: css });
+    if (map) {
+      map.file = cssFilename;
+      filenames['cssMap' + suffix] = mapFilename;
+      outputs.push({ path: this.getOutputPath_(mapFilename), data: JSON.stringify(map) });
+    }
+  }, this);
+
+  this.writeFilesAtomic_(outputs);
+  // Themes that were removed from the options do not keep their names.
+  _.keys(this.outputFilenames_).forEach(function(key) {
+    if (key.indexOf('css') === 0)
+      delete this.outputFilenames_[key];
+  }, this);
+  _.extend(this.outputFilenames_, filenames);
+};
+
+
+/**
+ * Replaces the outputs of a failed pipeline with ones that show the error in
+ * the page: a script that renders an overlay, or a stylesheet that prints the
+ * error above the page. The build state is cleared, so the next start compiles
+ * again even if the inputs go back to their last good state. The stubs do not
+ * count as a generation for keepPreviousBuilds.
+ */
+UberCompiler.prototype.writeErrorOutputs_ = function(type, err) {
+  var message = _.map(err.diagnostics, function(diagnostic) {
+    return diagnostic.stage + ': ' + diagnostics.format(diagnostic);
+  }).join('\n\n');
+  try {
+    if (type == 'js') {
+      var js = ERROR_OVERLAY_JS.replace('%MESSAGE%', function() {
+        // Keep the message from closing a surrounding script tag.
+        return JSON.stringify(message).replace(/</g, '\\u003c');
+      });
+      var filename = this.getOutputFilename_(js, '.js');
+      this.writeFilesAtomic_([{ path: path.join(this.outputDir, filename), data: js }]);
+      this.outputFilenames_.js = filename;
+      this.outputFilenames_.jsMap = null;
+    }
+    else {
+      var content = message.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\A ');
+      var css = ERROR_OVERLAY_CSS.replace('%MESSAGE%', function() {
+        return '"' + content + '"';
+      });
+      this.writeCssOutputs_(_.map([null].concat(_.keys(this.themes)), function(theme) {
+        return { theme: theme, css: css };
+      }));
+    }
+  }
+  catch (exception) {
+    console.error('Failed to write error output: ' + exception.message);
+    return;
+  }
+  this.clearBuildState_(type);
+  this.updateAssetManifest_(type);
 };
 
 
-UberCompiler.prototype.shouldCompile_ = function(inputPaths, outputFilename, fileExtensions) {
-  if (!inputPaths.length) {
+/**
+ * Watches every input path for added, changed and deleted files. Directories
+ * are watched recursively where the platform supports it and one by one
+ * otherwise. Polls for changes with the usePolling option or when the
+ * platform can not watch at all, and polls a root whose watcher fails later.
+ */
+UberCompiler.prototype.watch_ = function() {
+  var roots = [];
+  this.getBundles_().forEach(function(bundle) {
+    var entries = bundle.getPathEntries_(bundle.externPaths.concat(bundle.jsPaths, bundle.cssPaths));
+    roots = roots.concat(_.pluck(entries, 'path'));
+  });
+  roots = _.uniq(_.map(roots, function(root) {
+    return path.resolve(root);
+  }));
+
+  // Index the files up front so events can be told apart as additions,
+  // changes or deletions.
+  this.fileIndex_ = this.scanFiles_(roots);
+  this.watchers_ = {};
+
+  if (this.usePolling) {
+    this.startPolling_(roots);
+    return;
+  }
+  try {
+    roots.forEach(this.watchRoot_, this);
+  }
+  catch (exception) {
+    console.error('Falling back to polling for file changes: ' + exception.message);
+    this.closeWatchers_();
+    this.startPolling_(roots);
+  }
+};
+
+
+UberCompiler.prototype.unwatch_ = function() {
+  this.closeWatchers_();
+  clearInterval(this.pollTimer_);
+  this.pollTimer_ = null;
+  this.pollRoots_ = [];
+  clearTimeout(this.fileChangedTimer);
+  this.fileChangedTimer = null;
+  this.fileIndex_ = {};
+  if (this.isIdle_())
+    this.runIdleCallbacks_();
+};
+
+
+UberCompiler.prototype.closeWatchers_ = function() {
+  _.each(this.watchers_, function(entry) {
+    entry.watcher.close();
+  });
+  this.watchers_ = {};
+};
+
+
+/**
+ * Closes the watchers of a deleted directory and the directories below it.
+ * Without the recursive option a watcher ends with its directory, so one that
+ * is created again gets new watchers.
+ */
+UberCompiler.prototype.closeWatchersBelow_ = function(dir) {
+  _.each(this.watchers_, function(entry, key) {
+    if (module.exports.isFileInPaths(entry.dir, [dir])) {
+      entry.watcher.close();
+      delete this.watchers_[key];
+    }
+  }, this);
+};
+
+
+/**
+ * Returns a map from each watched file under the given roots to its mtime.
+ */
+UberCompiler.prototype.scanFiles_ = function(roots) {
+  var fileExtensionRegex = module.exports.getFileExtensionRegex('js|soy|css|less');
+  var filter = _.bind(this.isWatchedPath_, this);
+  var index = {};
+  roots.forEach(function(root) {
+    module.exports.findFiles(root, fileExtensionRegex, filter).forEach(function(file) {
+      if (!this.isOutputFile_(file))
+        index[file] = this.getMTime_(file);
+    }, this);
+  }, this);
+  return index;
+};
+
+
+UberCompiler.prototype.getMTime_ = function(file) {
+  try {
+    return fs.statSync(file).mtime.getTime();
+  }
+  catch (exception) {
+    return 0;
+  }
+};
+
+
+/**
+ * Returns whether any bundle uses the file, or might use files in the
+ * directory, according to its input paths and patterns.
+ */
+UberCompiler.prototype.isWatchedPath_ = function(filePath, isDirectory) {
+  return _.some(this.getBundles_(), function(bundle) {
+    return bundle.isInputFile_(filePath, bundle.jsPaths, 'js|soy', isDirectory) ||
+        bundle.isInputFile_(filePath, bundle.externPaths, 'js', isDirectory) ||
+        bundle.isInputFile_(filePath, bundle.cssPaths, 'css|less', isDirectory);
+  });
+};
+
+
+/**
+ * Returns whether the file was written by one of the bundles, so that outputs
+ * inside a watched directory do not trigger rebuilds.
+ */
+UberCompiler.prototype.isOutputFile_ = function(file) {
+  var dir = path.dirname(file);
+  var name = path.basename(file);
+  return _.some(this.getBundles_(), function(bundle) {
+    var isOutputDir = (dir == path.resolve(bundle.outputDir) ||
+        (bundle.sourceMapDir && dir == path.resolve(bundle.sourceMapDir)));
+    return isOutputDir && (name.indexOf(bundle.moduleName) === 0 || name == 'soy.js');
+  });
+};
+
+
+UberCompiler.prototype.watchRoot_ = function(root) {
+  var stats;
+  try {
+    stats = fs.statSync(root);
+  }
+  catch (exception) {
+    console.error('Error retrieving stats for path: ' + root);
+    return;
+  }
+
+  // Editors often replace a file on save, which ends a watcher on the file
+  // itself, so watch its directory instead.
+  if (!stats.isDirectory()) {
+    this.addWatcher_(path.dirname(root), false, root);
+    return;
+  }
+
+  // A recursive watcher on Linux watches every directory below the root,
+  // including excluded ones such as node_modules, which can use up the
+  // inotify watches.
+  if (!supportsRecursiveWatch() || (process.platform == 'linux' && this.hasExcludePatterns_())) {
+    this.watchDirectories_(root);
+    return;
+  }
+  try {
+    this.addWatcher_(root, true, root);
+  }
+  catch (exception) {
+    if (exception.code != 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM')
+      throw exception;
+    this.watchDirectories_(root);
+  }
+};
+
+
+/**
+ * Returns whether fs.watch() supports the recursive option here. macOS and
+ * Windows have always supported it. Linux does from Node 19.1, while older
+ * versions either throw or silently watch only the top directory.
+ */
+var supportsRecursiveWatch = function() {
+  if (process.platform == 'darwin' || process.platform == 'win32')
+    return true;
+  if (process.platform != 'linux')
     return false;
+  var version = process.versions.node.split('.').map(Number);
+  return (version[0] > 19 || (version[0] == 19 && version[1] >= 1));
+};
+
+
+UberCompiler.prototype.hasExcludePatterns_ = function() {
+  return _.some(this.getBundles_(), function(bundle) {
+    var entries = bundle.externPaths.concat(bundle.jsPaths, bundle.cssPaths);
+    return bundle.exclude.length > 0 || _.some(entries, function(entry) {
+      return !!(entry.exclude && entry.exclude.length);
+    });
+  });
+};
+
+
+/**
+ * Watches the directory and every directory below it without the recursive
+ * option, leaving out directories that no bundle uses. Directories added later
+ * are watched as they show up.
+ */
+UberCompiler.prototype.watchDirectories_ = function(dir, seen) {
+  if (!this.isWatchedPath_(dir, true))
+    return;
+  seen = seen || {};
+  var realPath;
+  try {
+    realPath = fs.realpathSync(dir);
+  }
+  catch (exception) {
+    return;
+  }
+  if (seen[realPath])
+    return;
+  seen[realPath] = true;
+
+  this.addWatcher_(dir, false, dir);
+  var fileNames = [];
+  try {
+    fileNames = fs.readdirSync(dir);
+  }
+  catch (exception) {
+  }
+  fileNames.forEach(function(fileName) {
+    var filePath = path.join(dir, fileName);
+    try {
+      if (fs.statSync(filePath).isDirectory())
+        this.watchDirectories_(filePath, seen);
+    }
+    catch (exception) {
+    }
+  }, this);
+};
+
+
+/**
+ * Starts an fs.watch watcher on a directory. The root is the watched input
+ * path, which limits the events to a single file when it is a file.
+ */
+UberCompiler.prototype.addWatcher_ = function(dir, recursive, root) {
+  var key = dir + (recursive ? ':recursive' : '') + ':' + root;
+  // A directory that was deleted and created again has a new inode, and the
+  // old watcher no longer reports anything.
+  var ino = fs.statSync(dir).ino;
+  if (this.watchers_[key]) {
+    if (this.watchers_[key].ino === ino)
+      return;
+    this.watchers_[key].watcher.close();
   }
 
-  var result = false;
-  var outputPath = path.join(this.outputDir, outputFilename);
-  var outputTime = 0;
+  var watcher = fs.watch(dir, { recursive: recursive }, _.bind(function(event, fileName) {
+    // Some platforms do not report the file name, so check everything below.
+    var filePath = (fileName ? path.join(dir, fileName.toString()) : root);
+    if (filePath != root && !module.exports.isFileInPaths(filePath, [root]))
+      return;
+    this.checkPath_(filePath, !recursive);
+  }, this));
+  watcher.on('error', _.bind(function(error) {
+    watcher.close();
+    if (this.watchers_[key] && this.watchers_[key].watcher === watcher)
+      delete this.watchers_[key];
+    // The directory itself went away, which the parent reports as a deletion.
+    if (!fs.existsSync(dir))
+      return;
+    console.error('Falling back to polling for file changes in ' + root + ': ' + error.message);
+    this.startPolling_([root]);
+  }, this));
+  this.watchers_[key] = { dir: dir, ino: ino, watcher: watcher };
+};
+
+
+/**
+ * Compares a path reported by a watcher with the file index and reports the
+ * added, changed and deleted files below it.
+ */
+UberCompiler.prototype.checkPath_ = function(filePath, watchNewDirectories) {
+  var stats = null;
   try {
-    var stats = fs.statSync(outputPath);
-    if (stats && typeof stats.mtime !== 'undefined')
-      outputTime = stats.mtime.getTime();
+    stats = fs.statSync(filePath);
   }
   catch (exception) {
   }
-  if (!outputTime)
+
+  if (!stats)
+    this.closeWatchersBelow_(filePath);
+  else if (stats.isDirectory() && watchNewDirectories)
+    this.watchDirectories_(filePath);
+
+  var index = (stats ? this.scanFiles_([filePath]) : {});
+  var changes = this.diffFileIndex_(index, function(file) {
+    return module.exports.isFileInPaths(file, [filePath]);
+  });
+  changes.forEach(function(change) {
+    this.onFileChange_(change.file, change.event);
+  }, this);
+};
+
+
+/**
+ * Polls the roots for changes, which also works on file systems that do not
+ * report events. Roots are added to the ones already polled.
+ */
+UberCompiler.prototype.startPolling_ = function(roots) {
+  this.pollRoots_ = _.union(this.pollRoots_, roots);
+  if (this.pollTimer_)
+    return;
+  this.pollTimer_ = setInterval(_.bind(function() {
+    var pollRoots = this.pollRoots_;
+    var changes = this.diffFileIndex_(this.scanFiles_(pollRoots), function(file) {
+      return module.exports.isFileInPaths(file, pollRoots);
+    });
+    changes.forEach(function(change) {
+      this.onFileChange_(change.file, change.event);
+    }, this);
+  }, this), this.watchInterval);
+};
+
+
+/**
+ * Merges a fresh scan into the file index and returns the differences as a
+ * list of {file, event} where event is 'add', 'change' or 'unlink'. Indexed
+ * files accepted by the filter but missing from the scan were deleted.
+ */
+UberCompiler.prototype.diffFileIndex_ = function(index, filter) {
+  var changes = [];
+  _.each(index, function(mtime, file) {
+    if (!_.has(this.fileIndex_, file))
+      changes.push({ file: file, event: 'add' });
+    else if (this.fileIndex_[file] !== mtime)
+      changes.push({ file: file, event: 'change' });
+    this.fileIndex_[file] = mtime;
+  }, this);
+  _.keys(this.fileIndex_).forEach(function(file) {
+    if (!_.has(index, file) && filter(file)) {
+      delete this.fileIndex_[file];
+      changes.push({ file: file, event: 'unlink' });
+    }
+  }, this);
+  return changes;
+};
+
+
+/**
+ * Flags the pipelines of every bundle that contains the changed file and
+ * rebuilds them once the changes settle. The event is 'add', 'change' or
+ * 'unlink'.
+ */
+UberCompiler.prototype.onFileChange_ = function(file, event) {
+  event = event || 'change';
+  var messages = {
+    add: 'Detected new file: ',
+    change: 'Detected file change: ',
+    unlink: 'Detected deleted file: '
+  };
+  console.log(messages[event] + file);
+
+  var type = null;
+  if (file.match(module.exports.getFileExtensionRegex('js|soy')))
+    type = 'js';
+  else if (file.match(module.exports.getFileExtensionRegex('css|less')))
+    type = 'css';
+  if (!type)
+    return;
+
+  var bundleNames = [];
+  this.getBundles_().forEach(function(bundle) {
+    if (type == 'js' && (bundle.isInputFile_(file, bundle.jsPaths, 'js|soy') ||
+        bundle.isInputFile_(file, bundle.externPaths, 'js'))) {
+      bundle.fileChangedJs = true;
+      bundleNames.push(bundle.moduleName);
+    }
+    else if (type == 'css' && bundle.isInputFile_(file, bundle.cssPaths, 'css|less')) {
+      bundle.fileChangedCss = true;
+      bundleNames.push(bundle.moduleName);
+    }
+  });
+  this.emit('file:change', { file: file, event: event, type: type, bundles: bundleNames });
+
+  // De-bouce in case a few files were saved at the same time.
+  clearTimeout(this.fileChangedTimer);
+  this.fileChangedTimer = setTimeout(_.bind(function() {
+    this.fileChangedTimer = null;
+
+    this.getBundles_().forEach(function(bundle) {
+      if (bundle.fileChangedJs) {
+        bundle.fileChangedJs = false;
+        bundle.requestCompile_('js', 'watch');
+      }
+      if (bundle.fileChangedCss) {
+        bundle.fileChangedCss = false;
+        bundle.requestCompile_('css', 'watch');
+      }
+    });
+    // No bundle may have needed a rebuild, in which case there is no idle
+    // event to wait for.
+    if (this.isIdle_())
+      this.runIdleCallbacks_();
+  }, this), 500);
+};
+
+
+UberCompiler.prototype.shouldCompileJs_ = function() {
+  return this.shouldCompile_('js');
+};
+
+
+UberCompiler.prototype.shouldCompileCss_ = function() {
+  return this.shouldCompile_('css');
+};
+
+
+/**
+ * Compares the current build state of a pipeline with the one recorded in the
+ * build manifest by the last successful compile. Compiles when the output is
+ * missing or any input, option or tool version differs.
+ */
+UberCompiler.prototype.shouldCompile_ = function(type) {
+  var inputPaths = (type == 'js' ? this.jsPaths : this.cssPaths);
+  if (!inputPaths.length) {
+    return false;
+  }
+
+  var outputFilename = (type == 'js' ? this.getJsFilename() : this.getCssFilename());
+  if (!outputFilename || !fs.existsSync(path.join(this.outputDir, outputFilename)))
     return true;
 
-  var fileExtensionRegex = module.exports.getFileExtensionRegex(fileExtensions);
-  for (var i = 0, l = inputPaths.length; i < l; i++) {
-    var files = module.exports.findFiles(inputPaths[i], fileExtensionRegex);
-    for (var j = 0, m = files.length; j < m; j++) {
+  var manifest = this.readBuildManifest_();
+  if (!manifest[type])
+    return true;
+  return JSON.stringify(manifest[type]) !== JSON.stringify(this.getBuildState_(type));
+};
+
+
+/**
+ * Returns the inputs with their content hashes, the options and the tool
+ * versions that determine the output of a pipeline.
+ */
+UberCompiler.prototype.getBuildState_ = function(type) {
+  var inputs = [];
+  var addFiles = function(files) {
+    for (var i = 0, l = files.length; i < l; i++) {
+      var hash = null;
       try {
-        var stats = fs.statSync(files[j]);
-        if (stats && typeof stats.mtime !== 'undefined') {
-          if (stats.mtime.getTime() > outputTime) {
-            result = true;
-            break;
-          }
-        }
+        hash = crypto.createHash('sha1').update(fs.readFileSync(files[i])).digest('hex');
+      }
+      catch (exception) {
+      }
+      inputs.push([files[i], hash]);
+    }
+  };
+  var addInputs = _.bind(function(inputPaths, fileExtensions) {
+    addFiles(this.findInputFiles_(inputPaths, fileExtensions));
+  }, this);
+
+  var state = { inputs: inputs, options: null, tools: null };
+  if (type == 'js') {
+    addInputs(this.jsPaths, 'js|soy');
+    addInputs(this.externPaths, 'js');
+    if (this.findInputFiles_(this.jsPaths, 'soy').length)
+      addFiles(this.getSoyRuntimeFiles_());
+    // Which library files are compiled depends on the templates, so the whole
+    // library counts. A missing library is reported by the compile.
+    if (this.closureLibraryPath) {
+      try {
+        addFiles(this.findClosureLibraryFiles_());
       }
       catch (exception) {
+        inputs.push([this.closureLibraryPath, null]);
       }
-    } // for each files
-  } // for each input path
+    }
+    state.options = {
+      compileMode: this.compileMode,
+      warningLevel: this.warningLevel,
+      prettyPrint: this.prettyPrint,
+      useContentHash: this.useContentHash,
+      sortDependencies: this.sortDependencies,
+      entryPoints: this.entryPoints,
+      closureLibraryPath: this.closureLibraryPath,
+      sourceMapDir: this.sourceMapDir
+    };
+    state.tools = {
+      uberCompiler: packageVersion,
+      closure: this.getClosureVersion_(),
+      soy: SOY_COMPILER_JAR
+    };
+  }
+  else {
+    addInputs(this.cssPaths, 'css|less');
+    state.options = {
+      compressCss: this.compressCss,
+      useContentHash: this.useContentHash,
+      sourceMapDir: this.sourceMapDir,
+      lessPaths: this.lessPaths,
+      modifyVars: this.modifyVars,
+      globalVars: this.globalVars,
+      themes: this.themes,
+      // Plugins and functions are code, so their source stands for them.
+      lessPlugins: _.map(this.lessPlugins, function(plugin) {
+        return String(plugin.install);
+      }),
+      lessFunctions: _.mapObject(this.lessFunctions, String),
+      rewriteUrls: this.rewriteUrls
+    };
+    state.tools = { uberCompiler: packageVersion, less: less.version.join('.') };
+  }
+  return state;
+};
+
+
+/**
+ * Asks Closure Compiler for its version once per instance. Returns null if the
+ * compiler can not be run, which still counts as a version change once it can.
+ */
+UberCompiler.prototype.getClosureVersion_ = function() {
+  if (typeof this.closureVersion_ === 'undefined') {
+    this.closureVersion_ = null;
+    try {
+      var closureCommand = getClosureCommand(['--version']);
+      var result = childProcess.spawnSync(closureCommand.command, closureCommand.args);
+      if (result.status === 0)
+        this.closureVersion_ = result.stdout.toString().trim();
+    }
+    catch (exception) {
+    }
+  }
+  return this.closureVersion_;
+};
+
+
+UberCompiler.prototype.getBuildManifestPath_ = function() {
+  return path.join(this.outputDir, '.' + this.moduleName + '.build.json');
+};
+
+
+UberCompiler.prototype.readBuildManifest_ = function() {
+  try {
+    return JSON.parse(fs.readFileSync(this.getBuildManifestPath_()));
+  }
+  catch (exception) {
+    return {};
+  }
+};
+
+
+/**
+ * Records the state a pipeline was compiled from along with its outputs and
+ * warnings, then deletes outputs of generations beyond keepPreviousBuilds.
+ * Failing to write the manifest only means the next start compiles again, so
+ * it is not treated as an error.
+ */
+UberCompiler.prototype.saveBuildState_ = function(type, state, warnings) {
+  var manifest = this.readBuildManifest_();
+  var previous = getPipelineFilenames(manifest.filenames, type);
+  manifest[type] = state;
+  manifest.warnings = manifest.warnings || {};
+  manifest.warnings[type] = warnings;
+  manifest.filenames = this.outputFilenames_;
+
+  var current = _.compact(type == 'js' ? [this.getJsFilename(), this.getJsMapFilename()] :
+      this.getCssOutputFilenames_());
+  manifest.history = manifest.history || {};
+  var generations = manifest.history[type] || [];
+  if (!generations.length || !_.isEqual(generations[0], current))
+    generations.unshift(current);
+  var stale = generations.splice(Math.max(this.keepPreviousBuilds, 0) + 1);
+  manifest.history[type] = generations;
+  if (!this.writeBuildManifest_(manifest))
+    return;
+
+  // Generations can share names, for example without useHash, so only delete
+  // files that no kept generation refers to. The previous outputs are error
+  // stubs unless they are a kept generation.
+  var kept = _.flatten(generations);
+  _.difference(_.flatten(stale).concat(previous), kept).forEach(function(filename) {
+    this.removeFile_(this.getOutputPath_(filename));
+  }, this);
+};
+
+
+/**
+ * Forgets the state a pipeline was compiled from after it failed, leaving its
+ * generations alone. Replaced error stubs are deleted.
+ */
+UberCompiler.prototype.clearBuildState_ = function(type) {
+  var manifest = this.readBuildManifest_();
+  var previous = getPipelineFilenames(manifest.filenames, type);
+  delete manifest[type];
+  if (manifest.warnings)
+    delete manifest.warnings[type];
+  manifest.filenames = this.outputFilenames_;
+  if (!this.writeBuildManifest_(manifest))
+    return;
+
+  var kept = _.flatten((manifest.history || {})[type] || []).concat(
+      getPipelineFilenames(this.outputFilenames_, type));
+  _.difference(previous, kept).forEach(function(filename) {
+    this.removeFile_(this.getOutputPath_(filename));
+  }, this);
+};
+
+
+UberCompiler.prototype.writeBuildManifest_ = function(manifest) {
+  try {
+    this.writeFilesAtomic_([{
+      path: this.getBuildManifestPath_(),
+      data: JSON.stringify(manifest, null, 2)
+    }]);
+    return true;
+  }
+  catch (exception) {
+    console.error('Failed to write build manifest: ' + exception.message);
+    return false;
+  }
+};
+
+
+/**
+ * Returns the output names of a pipeline from a map like outputFilenames_.
+ */
+var getPipelineFilenames = function(filenames, type) {
+  return _.compact(_.map(filenames || {}, function(filename, key) {
+    var isCss = (key.indexOf('css') === 0);
+    return (type == 'css' ? isCss : !isCss) ? filename : null;
+  }));
+};
+
+
+/**
+ * Updates the entries of a pipeline in the asset manifest, which maps logical
+ * names such as cached.js to the current output file with its size, subresource
+ * integrity hash and build time. Entries of other modules sharing the outputDir
+ * are left alone.
+ */
+UberCompiler.prototype.updateAssetManifest_ = function(type) {
+  if (!this.manifestFilename)
+    return;
+
+  // Source maps kept out of outputDir are not served, so they are left out.
+  var entries = {};
+  if (type == 'js') {
+    entries[this.moduleName + '.js'] = this.getJsFilename();
+    if (!this.sourceMapDir)
+      entries[this.moduleName + '.js.map'] = this.getJsMapFilename();
+  }
+  else {
+    entries[this.moduleName + '.css'] = this.getCssFilename();
+    if (!this.sourceMapDir)
+      entries[this.moduleName + '.css.map'] = this.getCssMapFilename();
+    _.keys(this.themes).forEach(function(theme) {
+      entries[this.moduleName + '.' + theme + '.css'] = this.getThemeCssFilename(theme);
+      if (!this.sourceMapDir)
+        entries[this.moduleName + '.' + theme + '.css.map'] = this.getThemeCssMapFilename(theme);
+    }, this);
+  }
+
+  var manifestPath = path.join(this.outputDir, this.manifestFilename);
+  var manifest = {};
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath));
+  }
+  catch (exception) {
+  }
+
+  for (var name in entries) {
+    var data, stats;
+    try {
+      var filePath = path.join(this.outputDir, entries[name]);
+      data = fs.readFileSync(filePath);
+      stats = fs.statSync(filePath);
+    }
+    catch (exception) {
+      delete manifest[name];
+      continue;
+    }
+    manifest[name] = {
+      file: entries[name],
+      size: stats.size,
+      integrity: 'sha384-' + crypto.createHash('sha384').update(data).digest('base64'),
+      builtAt: stats.mtime.toISOString()
+    };
+  }
+
+  try {
+    this.writeFilesAtomic_([{ path: manifestPath, data: JSON.stringify(manifest, null, 2) }]);
+  }
+  catch (exception) {
+    console.error('Failed to write asset manifest: ' + exception.message);
+  }
+};
+
+
+UberCompiler.prototype.removeAssetManifestEntries_ = function() {
+  if (!this.manifestFilename)
+    return;
+  var manifestPath = path.join(this.outputDir, this.manifestFilename);
+  var manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath));
+  }
+  catch (exception) {
+    return;
+  }
 
-  return result;
+  delete manifest[this.moduleName + '.js'];
+  delete manifest[this.moduleName + '.js.map'];
+  delete manifest[this.moduleName + '.css'];
+  delete manifest[this.moduleName + '.css.map'];
+  _.keys(this.themes).forEach(function(theme) {
+    delete manifest[this.moduleName + '.' + theme + '.css'];
+    delete manifest[this.moduleName + '.' + theme + '.css.map'];
+  }, this);
+  if (_.isEmpty(manifest)) {
+    this.removeFile_(manifestPath);
+    return;
+  }
+  try {
+    this.writeFilesAtomic_([{ path: manifestPath, data: JSON.stringify(manifest, null, 2) }]);
+  }
+  catch (exception) {
+    console.error('Failed to write asset manifest: ' + exception.message);
+  }
 };
 
 
-UberCompiler.prototype.checkEnd_ = function() {
-  if (!this.compilingJs_ && !this.compilingCss_) {
+/**
+ * Calls endCallback once nothing is compiling in any bundle. Errors are
+ * remembered until then, so the callback sees a failure from any pipeline.
+ */
+UberCompiler.prototype.checkEnd_ = function(err) {
+  if (err)
+    this.endError_ = this.endError_ || err;
+  if (this.startingBuild_)
+    return;
+  var compiling = _.some(this.getBundles_(), function(bundle) {
+    return bundle.compilingJs_ || bundle.compilingCss_;
+  });
+  if (!compiling) {
+    var endError = this.endError_;
+    this.endError_ = null;
     if (typeof this.endCallback === 'function')
-      this.endCallback();
+      this.endCallback(endError);
+    this.emit('idle', { error: endError });
+    this.runIdleCallbacks_();
   }
 };
 
@@ -0,0 +1,63 @@
+/**
+ * Uber Compiler for Node.js
+ *
+ * Copyright 2012 Alex Kennberg (https://github.com/kennberg/node-uber-compiler)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Live reload client served by the compiler middleware. Reloads the page after
+ * a JS rebuild and swaps the stylesheets after a CSS rebuild. The events are
+ * read from the URL next to this script.
+ */
+(function() {
+  var script = document.currentScript;
+  if (!script || typeof EventSource == 'undefined')
+    return;
+  var eventsUrl = script.src.replace(/live-reload\.js(\?.*)?$/, 'events');
+
+  var getFilename = function(href) {
+    return href.split('?')[0].split('#')[0].split('/').pop();
+  };
+
+  // The new stylesheet is added next to the old one, which is removed once the
+  // new one has loaded, so the page is never unstyled.
+  var swapStylesheet = function(link, filename, sameName) {
+    var href = link.href.split('?')[0];
+    var newLink = link.cloneNode();
+    newLink.href = href.substr(0, href.lastIndexOf('/') + 1) + filename +
+        (sameName ? '?' + Date.now() : '');
+    newLink.onload = newLink.onerror = function() {
+      if (link.parentNode)
+        link.parentNode.removeChild(link);
+    };
+    link.parentNode.insertBefore(newLink, link.nextSibling);
+  };
+
+  var source = new EventSource(eventsUrl);
+  source.addEventListener('js', function() {
+    window.location.reload();
+  });
+  source.addEventListener('css', function(event) {
+    var data = JSON.parse(event.data);
+    var links = document.querySelectorAll('link[rel="stylesheet"]');
+    for (var i = 0; i < links.length; i++) {
+      var filename = getFilename(links[i].href);
+      if (Object.prototype.hasOwnProperty.call(data.replace, filename)) {
+        var newFilename = data.replace[filename];
+        swapStylesheet(links[i], newFilename, newFilename == filename);
+      }
+    }
+  });
+})();